@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { JSON_REPORT_NAME, mergeReports, writeReports } = require('../src/report');
+const { SUPPORTED_REPORTS } = require('../src/config');
+
+const USAGE = `Usage: console-spy-merge [--out <dir>] [--reports json,junit,html] <report file or directory>...
+
+Merges ${JSON_REPORT_NAME} files from parallel CI machines into one report.
+Directories are searched recursively for ${JSON_REPORT_NAME}, skipping the output directory
+and earlier merged reports.
+
+Options:
+  -o, --out <dir>        Directory for the merged reports (default: cypress/logs/merged)
+  -r, --reports <list>   Formats to write (default: json,junit,html)
+  -h, --help             Show this help`;
+
+// Whether a path is inside a directory (or is the directory)
+const isInside = (dir, file) => {
+    const relative = path.relative(dir, path.resolve(file));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+// Report files given directly, or found in the given directories outside the output directory
+const findReportFiles = (inputs, outDir) =>
+    inputs.flatMap((input) => {
+        if (!fs.statSync(input).isDirectory()) return [{ file: input, scanned: false }];
+        return fs
+            .readdirSync(input, { recursive: true })
+            .filter((file) => path.basename(file) === JSON_REPORT_NAME)
+            .map((file) => path.join(input, file))
+            .filter((file) => !isInside(outDir, file))
+            .sort()
+            .map((file) => ({ file, scanned: true }));
+    });
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: path.join('cypress', 'logs', 'merged') },
+            reports: { type: 'string', short: 'r', default: SUPPORTED_REPORTS.join(',') },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+    const formats = values.reports.split(',').map((format) => format.trim()).filter(Boolean);
+    const unsupported = formats.filter((format) => !SUPPORTED_REPORTS.includes(format));
+    if (unsupported.length > 0) {
+        throw new Error(
+            `unsupported report format(s) ${unsupported.join(', ')}; supported: ${SUPPORTED_REPORTS.join(', ')}`
+        );
+    }
+
+    const outDir = path.resolve(values.out);
+    const found = findReportFiles(positionals, outDir).map(({ file, scanned }) => {
+        try {
+            return { file, scanned, report: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (error) {
+            throw new Error(`cannot read ${file}: ${error.message}`);
+        }
+    });
+    // Earlier merged output found in a directory would count its issues twice; merged files given directly are kept
+    const skipped = found.filter(({ scanned, report }) => scanned && report.mergedReports);
+    const inputs = found.filter((entry) => !skipped.includes(entry));
+    if (inputs.length === 0) {
+        throw new Error(`no ${JSON_REPORT_NAME} found in ${positionals.join(', ')}`);
+    }
+    const merged = mergeReports(inputs.map(({ report }) => report));
+    const written = await writeReports(outDir, merged, formats);
+
+    console.log(`[cypress-console-spy] Merged ${inputs.length} report(s):`);
+    inputs.forEach(({ file }) => console.log(`  • ${file}`));
+    skipped.forEach(({ file }) => console.log(`  Skipped earlier merged report: ${file}`));
+    console.log(
+        `  ${merged.totals.errors} error(s), ${merged.totals.warnings} warning(s), ` +
+            `${merged.totals.failedTests} failed test(s) in ${merged.specs.length} spec(s), status: ${merged.status}`
+    );
+    written.forEach((reportPath) => console.log(`  Report: ${reportPath}`));
+    return 0;
+};
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        console.error(`[cypress-console-spy] ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -22,21 +22,152 @@ declare module '@mknrt/cypress-console-spy' {
          * @default ['error']
          * @example ['error', 'warn', 'log']
          */
-        methodsToTrack?: Array<'error' | 'warn' | 'log' | 'info' | 'debug'>;
+        methodsToTrack?: ConsoleMethod[];
 
         /**
-         * Whether to treat warnings as critical errors (fails test if failOnSpy is true)
+         * What happens to the calls of each console method: 'fail' fails the test, 'record' only logs and
+         * reports them, 'ignore' drops them. Merged per method across global, describe and it level.
+         * Methods with a 'fail' or 'record' policy in the global config are tracked automatically.
+         * The 'framework' key applies to React and Vue development warnings in component tests
+         * (issue type 'framework'); by default they fail when the warn policy is 'fail' and are recorded otherwise.
+         * @default { error: 'fail', warn: 'ignore', log: 'ignore', info: 'ignore', debug: 'ignore', assert: 'fail', trace: 'ignore', framework: 'record' }
+         * @example { error: 'fail', warn: 'record', info: 'ignore', assert: 'fail', trace: 'record', framework: 'record' }
+         */
+        methodPolicies?: Partial<Record<ConsoleMethod | 'framework', MethodPolicy>>;
+
+        /**
+         * Window events to monitor in addition to uncaught errors.
+         * Reported as issue types 'unhandledrejection', 'csp' and 'resource' and checked like console errors.
+         * @default []
+         * @example ['unhandledrejection', 'securitypolicyviolation', 'resource']
+         */
+        eventsToTrack?: Array<'unhandledrejection' | 'securitypolicyviolation' | 'resource'>;
+
+        /**
+         * Whether to treat warnings as critical errors (fails test if failOnSpy is true).
+         * Shorthand for methodPolicies: { warn: 'fail' }.
          * @default false
          */
         throwOnWarning?: boolean;
 
+        /**
+         * Number of new console errors a test may produce before it fails.
+         * Without a budget any unwhitelisted error fails the test.
+         * @example 2
+         */
+        maxErrors?: number;
+
+        /**
+         * Number of new warnings a test may produce before it fails (checked even without throwOnWarning).
+         * Requires 'warn' in methodsToTrack.
+         * @example 5
+         */
+        maxWarnings?: number;
+
+        /**
+         * Errors and warnings allowed per spec file, checked in after:spec (server-side)
+         */
+        specBudget?: IssueBudget;
+
+        /**
+         * Errors and warnings allowed in the whole run, checked in after:run (server-side).
+         * An exceeded budget sets the report status to 'failed'.
+         */
+        runBudget?: IssueBudget;
+
         /**
          * Patterns to ignore when checking console issues.
-         * Can be strings (partial match) or RegExp patterns.
+         * Can be strings (partial match), RegExp patterns or rule objects with a scope, limits and expiry.
+         * Strings of the form "/pattern/flags" are parsed as RegExps (needed in cypress.config.js env,
+         * which is serialized to JSON).
+         * @default []
+         * @example ['socket.io', '/ResizeObserver/i', { pattern: 'deprecated', type: 'warn', expires: '2025-06-30' }]
+         */
+        whitelist?: Array<WhitelistEntry>;
+
+        /**
+         * What happens once a whitelist rule is past its `expires` date:
+         * 'warn' keeps applying it and prints a warning, 'fail' stops applying it and fails tests using it
+         * @default 'warn'
+         */
+        expiredRulePolicy?: 'warn' | 'fail';
+
+        /**
+         * Shared whitelist file (JSON or JS module) relative to the project root, loaded by the server
+         * and merged into the global whitelist. Rules that match nothing are listed after the run.
+         * @example 'cypress/console-whitelist.json'
+         */
+        whitelistFile?: string;
+
+        /**
+         * Directories holding the served application bundles and their source maps, relative to the
+         * project root. Stack frames are resolved to original sources through them by the server; the client
+         * skips the resolveStackTraces task when its config has none.
+         * @default []
+         * @example ['dist']
+         */
+        sourceMapDirs?: string | string[];
+
+        /**
+         * Record failed fetch/XHR requests as issues of type 'network'
+         * @default false
+         */
+        trackNetwork?: boolean;
+
+        /**
+         * Response statuses recorded when trackNetwork is enabled: single codes or 'min-max' ranges.
+         * Requests that fail at the network level are always recorded.
+         * @default ['500-599']
+         * @example [404, '500-599']
+         */
+        networkStatusRanges?: Array<number | string>;
+
+        /**
+         * Request URL patterns to ignore for network issues. Merged across global, describe and test levels.
          * @default []
-         * @example ['socket.io', /ResizeObserver/, 'known warning']
+         * @example ['/api/analytics', /\/metrics$/]
          */
-        whitelist?: Array<string | RegExp>;
+        networkWhitelist?: Array<string | RegExp>;
+
+        /**
+         * Additional normalization rules for message fingerprints, applied before the built-in ones
+         * (numbers, UUIDs, hex IDs, URL query strings and quoted values). String patterns are
+         * regular expression sources.
+         * @default []
+         * @example [{ pattern: 'session=\\w+', replacement: 'session=<id>' }]
+         */
+        normalizationRules?: NormalizationRule[];
+
+        /**
+         * Fail the test right after the command during which the first failing console issue occurred,
+         * instead of at the end of the test. The failure message names the command.
+         * @default false
+         */
+        failFast?: boolean;
+
+        /**
+         * How retried tests fail on console errors: 'any' fails every attempt with errors,
+         * 'consistent' fails retries only on fingerprints that occurred in every previous attempt.
+         * Errors missing from some attempts are reported as flaky either way.
+         * @default 'any'
+         */
+        retryPolicy?: 'any' | 'consistent';
+
+        /**
+         * Check console output of before, beforeEach, afterEach and after hooks like test bodies.
+         * Issues are attributed to the hook and its suite, e.g. 'Suite > "beforeEach" hook'.
+         * Enable it in the config passed to client(); describe configs can then set false to skip a suite's hooks.
+         * Errors in before/beforeEach hooks fail the hook, and the rest of the suite is skipped.
+         * @default false
+         */
+        monitorHooks?: boolean;
+
+        /**
+         * Add each captured console call, uncaught error and network issue to the Cypress command log
+         * when it happens, with a DOM snapshot and its arguments, stack and whitelist status.
+         * @default true
+         */
+        commandLog?: boolean;
 
         /**
          * Enable debug logging in browser console
@@ -49,6 +180,137 @@ declare module '@mknrt/cypress-console-spy' {
          * @default 'cypress/logs'
          */
         logDir?: string;
+
+        /**
+         * Log line format (server-side only): 'text' lines or 'ndjson' objects, both with test title and attempt
+         * @default 'text'
+         */
+        logFormat?: 'text' | 'ndjson';
+
+        /**
+         * Log file placement (server-side only): 'flat' names files after the spec file only,
+         * 'mirror' repeats the spec folders inside the log directory
+         * @default 'flat'
+         */
+        logLayout?: 'flat' | 'mirror';
+
+        /**
+         * Write the logs of each run to a timestamped <logDir>/run-<ISO timestamp> directory (server-side only)
+         * @default false
+         */
+        logPerRun?: boolean;
+
+        /**
+         * What happens to an existing spec log in before:spec (server-side only)
+         * @default 'keep'
+         */
+        logBeforeSpec?: 'keep' | 'truncate';
+
+        /**
+         * Run directories to keep with logPerRun, deleted in before:run (server-side only)
+         * @example { runs: 10, days: 14 }
+         */
+        logRetention?: {
+            /** Newest run directories kept, including the current run */
+            runs?: number;
+            /** Run directories older than this many days are deleted */
+            days?: number;
+        };
+
+        /**
+         * Save a summary of each run to console-spy-history.json in the log directory and print
+         * the changes since the previous run in after:run (server-side only)
+         * @default true
+         */
+        history?: boolean;
+
+        /**
+         * Runs kept in the history file (server-side only)
+         * @default 30
+         */
+        historySize?: number;
+
+        /**
+         * Reports written after each spec and after the run (server-side only): 'json' and 'junit' for
+         * machines, 'html' for a self-contained page with filters. Set to an empty array to disable.
+         * @default ['json', 'junit', 'html']
+         */
+        reports?: Array<'json' | 'junit' | 'html'>;
+
+        /**
+         * Directory for machine-readable reports (server-side only)
+         * @default logDir
+         */
+        reportDir?: string;
+
+        /**
+         * Baseline file with known console issues keyed by spec and test title, relative to the project root.
+         * When the file exists, only issues missing from it fail tests.
+         * @default 'cypress/console-baseline.json'
+         */
+        baselineFile?: string;
+
+        /**
+         * Record every console issue of the executed specs into the baseline file instead of failing
+         * @default false
+         */
+        updateBaseline?: boolean;
+    }
+
+    /**
+     * Structured whitelist rule. All given fields must match for the rule to suppress an issue.
+     */
+    export interface WhitelistRule {
+        /** Message pattern (string: partial match, RegExp: test). Omit to match any message. */
+        pattern?: string | RegExp;
+        /** Issue type(s) the rule applies to, e.g. 'warn' */
+        type?: string | string[];
+        /** Pattern for the URL of the script, resource or request the issue comes from */
+        source?: string | RegExp;
+        /** Pattern for the URL of the child frame or cy.origin window the issue comes from */
+        frame?: string | RegExp;
+        /** Glob for the spec paths the rule applies to, e.g. 'cypress/e2e/legacy/**' */
+        specGlob?: string;
+        /** Stop matching after this many suppressed issues (per spec file) */
+        maxOccurrences?: number;
+        /** Expiry date (ISO), e.g. '2025-06-30'; plain dates are valid through that day */
+        expires?: string;
+        /** Why the rule exists, shown in warnings */
+        reason?: string;
+    }
+
+    /**
+     * Whitelist entry: string (partial match), RegExp or structured rule
+     */
+    export type WhitelistEntry = string | RegExp | WhitelistRule;
+
+    /**
+     * Rule that masks a volatile part of console messages before fingerprinting
+     */
+    export interface NormalizationRule {
+        /** Pattern to replace (strings are regular expression sources) */
+        pattern: string | RegExp;
+        /** Replacement text, may use $1 etc. */
+        replacement?: string;
+    }
+
+    /**
+     * Issues sharing a fingerprint
+     */
+    export interface FingerprintGroup {
+        /** Hash of the issue type and normalized message */
+        fingerprint: string;
+        type: string;
+        /** Message with volatile parts masked */
+        normalized: string;
+        /** First original message */
+        message: string;
+        /** Number of occurrences */
+        count: number;
+        /** ISO timestamp of the first occurrence */
+        firstSeen: string;
+        /** Tests in which the issue occurred */
+        tests: Array<{ spec: string; test: string }>;
     }
 
     /**
@@ -56,9 +318,120 @@ declare module '@mknrt/cypress-console-spy' {
      */
     export interface ConsoleIssue {
         /** Type of the issue */
-        type: 'error' | 'warn' | 'info';
+        type: ConsoleMethod | 'framework' | 'unhandledrejection' | 'csp' | 'resource' | 'network';
         /** Message content */
         message: string;
+        /** Original console call arguments (yielded by cy.getConsoleIssues) */
+        args?: unknown[];
+        /** Fingerprint of the issue type and normalized message */
+        fingerprint?: string;
+        /** ISO timestamp of when the issue was captured */
+        timestamp?: string;
+        /** Call-site stack trace (application frames only) */
+        stack?: string;
+        /** Request details for 'network' issues */
+        network?: NetworkIssueDetails;
+        /** URL of the same-origin child frame or cy.origin window the issue comes from */
+        frame?: string;
+        /** Framework of a 'framework' issue (React or Vue development warning) */
+        framework?: 'react' | 'vue';
+    }
+
+    /**
+     * Options for cy.expectConsoleError
+     */
+    export interface ExpectConsoleErrorOptions {
+        /** Exact number of matching errors. When omitted, at least one is required. */
+        times?: number;
+    }
+
+    /**
+     * Request details of a 'network' issue
+     */
+    export interface NetworkIssueDetails {
+        method: string;
+        url: string;
+        /** Response status, 0 when the request failed at the network level */
+        status: number;
+    }
+
+    /**
+     * Console issue as recorded in server statistics
+     */
+    export interface RecordedIssue {
+        type: string;
+        message: string;
+        /** Fingerprint of the issue type and normalized message */
+        fingerprint?: string;
+        /** Message with volatile parts masked */
+        normalized?: string;
+        /** Spec path relative to the project root */
+        spec?: string;
+        /** Full test title, e.g. "Suite > test" */
+        test?: string;
+        /** Retry attempt of the test (0 for the first run) */
+        attempt?: number;
+        /** ISO timestamp of when the issue was captured */
+        timestamp: string;
+        /** Stack trace, resolved through source maps where available */
+        stack?: string;
+        /** Top stack frame, e.g. "render (src/App.jsx:12:5)" */
+        source?: string;
+        /** Request details for 'network' issues */
+        network?: NetworkIssueDetails;
+        /** URL of the child frame or cy.origin window the issue comes from */
+        frame?: string;
+        /** Framework of a 'framework' issue */
+        framework?: 'react' | 'vue';
+    }
+
+    /**
+     * Console methods that can be tracked. console.assert is only reported for failed assertions.
+     */
+    export type ConsoleMethod = 'error' | 'warn' | 'log' | 'info' | 'debug' | 'assert' | 'trace';
+
+    /**
+     * Policy of a console method
+     */
+    export type MethodPolicy = 'fail' | 'record' | 'ignore';
+
+    /**
+     * Spec or run budget: omitted limits are not checked
+     */
+    export interface IssueBudget {
+        maxErrors?: number;
+        maxWarnings?: number;
+    }
+
+    /**
+     * Spec or run budget limit that was exceeded
+     */
+    export interface BudgetViolation {
+        scope: 'spec' | 'run';
+        /** Spec path, for spec budgets */
+        spec?: string;
+        limit: 'maxErrors' | 'maxWarnings';
+        count: number;
+        max: number;
+    }
+
+    /**
+     * Test failed because of console errors
+     */
+    export interface FailedTest {
+        spec: string;
+        test: string;
+        attempt?: number;
+    }
+
+    /**
+     * Filter for the getErrorStats task
+     */
+    export interface ErrorStatsFilter {
+        /** Spec path relative to the project root */
+        spec?: string;
+        /** Full test title, e.g. "Suite > test" */
+        test?: string;
     }
 
     /**
@@ -70,10 +443,108 @@ declare module '@mknrt/cypress-console-spy' {
         /** Number of warnings detected */
         warnings: number;
         /** Detailed list of all issues */
-        details: Array<{
-            type: string;
-            message: string;
+        details: RecordedIssue[];
+        /** Tests failed by console errors */
+        failedTests: FailedTest[];
+        /** Spec and run budgets exceeded so far */
+        budgetViolations: BudgetViolation[];
+        /** Checked attempts (0-based) per test, keyed by spec and full test title joined with '\u0000' */
+        attempts: Record<string, number[]>;
+        /** Console errors of retried tests that did not occur in every attempt */
+        flaky: FlakyIssue[];
+        /** Issues suppressed by whitelist rules (not counted in errors and warnings) */
+        whitelisted: WhitelistedIssue[];
+    }
+
+    /**
+     * Issues suppressed by a whitelist rule, one entry per spec, test, attempt, rule and fingerprint.
+     * Message, timestamp and stack are those of the first occurrence.
+     */
+    export interface WhitelistedIssue {
+        type: string;
+        message: string;
+        fingerprint?: string;
+        normalized?: string;
+        timestamp?: string;
+        stack?: string;
+        frame?: string;
+        /** Description of the matching rule, e.g. "socket.io, type: warn" */
+        rule: string;
+        spec: string;
+        test: string;
+        attempt: number;
+        /** Number of suppressed occurrences */
+        count: number;
+    }
+
+    /**
+     * Console error seen in some checked attempts of a retried test but not in all of them.
+     * Attempts that failed before the console check ran are not compared.
+     */
+    export interface FlakyIssue {
+        spec: string;
+        test: string;
+        fingerprint: string;
+        type: string;
+        normalized: string;
+        /** Attempts (0-based) in which the error occurred */
+        attempts: number[];
+        /** Attempts (0-based) whose console check ran */
+        checkedAttempts: number[];
+        /** Number of checked attempts */
+        totalAttempts: number;
+    }
+
+    /**
+     * Baseline file contents: known messages per spec and test title
+     */
+    export interface ConsoleBaseline {
+        specs: Record<string, Record<string, string[]>>;
+    }
+
+    /**
+     * Machine-readable run report (console-spy-report.json)
+     */
+    export interface ConsoleSpyReport {
+        generatedAt: string;
+        /** Number of reports combined by console-spy-merge; only set on merged reports */
+        mergedReports?: number;
+        /** 'failed' when a spec or run budget was exceeded */
+        status: 'passed' | 'failed';
+        budgetViolations: BudgetViolation[];
+        totals: {
+            errors: number;
+            warnings: number;
+            issues: number;
+            failedTests: number;
+        };
+        specs: Array<{
+            spec: string;
+            failures: number;
+            issues: number;
+            tests: Array<{
+                title: string;
+                failed: boolean;
+                issues: Array<{
+                    type: string;
+                    message: string;
+                    timestamp: string;
+                    attempt: number;
+                    fingerprint?: string;
+                    stack?: string;
+                    source?: string;
+                    network?: NetworkIssueDetails;
+                    frame?: string;
+                    framework?: 'react' | 'vue';
+                }>;
+            }>;
         }>;
+        /** Issues grouped by fingerprint, most frequent first */
+        fingerprints: FingerprintGroup[];
+        /** Console errors of retried tests that did not occur in every attempt */
+        flaky: FlakyIssue[];
+        /** Issues suppressed by whitelist rules, not counted in the totals */
+        whitelisted: WhitelistedIssue[];
     }
 
     /**
@@ -103,12 +574,112 @@ declare module '@mknrt/cypress-console-spy' {
         config?: ConsoleDaemonConfig
     ): void;
 
+    /**
+     * Payload of the reporter `onTestEnd` hook
+     */
+    export interface ReporterTestEnd {
+        spec: string;
+        test: string;
+        attempt: number;
+        /** Whether the console issues failed the test */
+        failed: boolean;
+        /** Issues recorded for this attempt */
+        issues: RecordedIssue[];
+    }
+
+    /**
+     * Reporter sink passed to the server. Every hook is optional and may return a promise;
+     * errors thrown by a hook are logged and do not break the run.
+     */
+    export interface ConsoleSpyReporter {
+        /** Name used in error messages */
+        name?: string;
+        /** Called for every recorded issue and for notifyCriticalError */
+        onIssue?(issue: RecordedIssue): void | Promise<void>;
+        /** Called after each test attempt that reported issues, and after every retry */
+        onTestEnd?(result: ReporterTestEnd): void | Promise<void>;
+        /** Called in after:spec with the statistics of the spec */
+        onSpecEnd?(result: { spec: string; stats: ErrorStats }): void | Promise<void>;
+        /** Called in after:run with the run statistics and the report files written */
+        onRunEnd?(result: { stats: ErrorStats; reportPaths: string[] }): void | Promise<void>;
+    }
+
+    /**
+     * Options of the server plugin
+     */
+    export interface ServerOptions {
+        /** Reporter sinks (default: [stdoutReporter()]) */
+        reporters?: ConsoleSpyReporter[];
+        /**
+         * Register the before:run, before:spec, after:spec and after:run handlers (default: true).
+         * Set to false when the project has its own handlers for these events and call the returned
+         * ServerEventHandlers from them, since Cypress keeps only one handler per event.
+         */
+        registerEvents?: boolean;
+    }
+
+    /**
+     * Lifecycle handlers of the server part, returned by server()
+     */
+    export interface ServerEventHandlers {
+        beforeRun(details?: Cypress.BeforeRunDetails): Promise<void>;
+        beforeSpec(spec: Cypress.Spec): Promise<void>;
+        afterSpec(spec: Cypress.Spec, results?: CypressCommandLine.RunResult): Promise<void>;
+        afterRun(
+            results?: CypressCommandLine.CypressRunResult | CypressCommandLine.CypressFailedRunResult
+        ): Promise<void>;
+    }
+
+    /**
+     * Issue types passed on by a built-in reporter: a list of types, 'all', or error types by default
+     */
+    export type ReporterTypes = string[] | 'all';
+
+    export interface WebhookReporterOptions {
+        /** http or https URL */
+        url: string;
+        /** Extra request headers, e.g. an authorization token */
+        headers?: Record<string, string>;
+        /** Request method (default: 'POST') */
+        method?: string;
+        types?: ReporterTypes;
+        /** Issues per request, a positive integer (default: 20) */
+        batchSize?: number;
+        /** Milliseconds a partial batch waits before it is sent, 0 to hold it until the spec ends (default: 5000) */
+        flushInterval?: number;
+        /** Retries after network errors, 429 and 5xx responses (default: 2) */
+        retries?: number;
+        /** Milliseconds before the first retry, growing with each retry (default: 1000) */
+        retryDelay?: number;
+        /** Request timeout in milliseconds (default: 10000) */
+        timeout?: number;
+        /** Builds the request body (default: { source: 'cypress-console-spy', issues }) */
+        format?(issues: RecordedIssue[]): unknown;
+    }
+
+    /**
+     * Prints issues to the terminal as they are recorded (the default reporter)
+     */
+    export function stdoutReporter(options?: { types?: ReporterTypes }): ConsoleSpyReporter;
+
+    /**
+     * Appends issues to a file, one JSON object per line
+     */
+    export function fileReporter(options: { path: string; types?: ReporterTypes }): ConsoleSpyReporter;
+
+    /**
+     * Posts issues to an HTTP(S) webhook in batches, with retries
+     */
+    export function webhookReporter(options: WebhookReporterOptions): ConsoleSpyReporter;
+
     /**
      * Server-side plugin initialization function.
      * Call this in cypress.config.js setupNodeEvents
      * 
      * @param on - Cypress plugin events
      * @param config - Cypress configuration
+     * @param options - Reporter sinks and event registration
+     * @returns The before:run, before:spec, after:spec and after:run handlers
      * 
      * @example
      * ```javascript
@@ -127,75 +698,243 @@ declare module '@mknrt/cypress-console-spy' {
      */
     export function server(
         on: Cypress.PluginEvents,
-        config: Cypress.PluginConfigOptions
-    ): void;
+        config: Cypress.PluginConfigOptions,
+        options?: ServerOptions
+    ): ServerEventHandlers;
 }
 
-// Extend Cypress namespace for custom tasks
-declare namespace Cypress {
-    interface Chainable {
-        /**
-         * Process console issues batch (internal use)
-         */
-        task(
-            event: 'processConsoleBatch',
-            arg: {
-                issues: Array<{ type: string; message: string }>;
-                testPath: string;
-                logToFile: boolean;
-            },
-            options?: Partial<Loggable & Timeoutable>
-        ): Chainable<null>;
+declare module '@mknrt/cypress-console-spy/src/client' {
+    import { ConsoleDaemonConfig } from '@mknrt/cypress-console-spy';
 
-        /**
-         * Get current error statistics
-         */
-        task(event: 'getErrorStats'): Chainable<{
-            errors: number;
-            warnings: number;
-            details: Array<{ type: string; message: string }>;
-        }>;
+    /**
+     * The client part on its own, for support files bundled for the browser. Unlike the package root,
+     * it does not load the server part and its Node dependencies.
+     *
+     * @example
+     * ```javascript
+     * // cypress/support/component.js
+     * import client from '@mknrt/cypress-console-spy/src/client';
+     * client(Cypress, Cypress.env('consoleDaemon'));
+     * ```
+     */
+    function client(Cypress: Cypress.Cypress, config?: ConsoleDaemonConfig): void;
+    export = client;
+}
 
-        /**
-         * Reset error statistics
-         */
-        task(event: 'resetErrorStats'): Chainable<null>;
+declare module '@mknrt/cypress-console-spy/src/origin' {
+    /**
+     * Spies on the application windows of a cy.origin block. Console calls and uncaught errors are sent
+     * to the main spec, checked like other issues and tagged with the window URL (`frame`).
+     * Load it inside the block with Cypress.require.
+     *
+     * @example
+     * ```javascript
+     * cy.origin('https://sso.example.com', () => {
+     *   const { spyOnOrigin } = Cypress.require('@mknrt/cypress-console-spy/src/origin');
+     *   spyOnOrigin(Cypress);
+     *   cy.get('#login').click();
+     * });
+     * ```
+     */
+    export function spyOnOrigin(Cypress: Cypress.Cypress): Cypress.Chainable<Window>;
+}
 
-        /**
-         * Enable or disable debug mode
-         */
-        task(event: 'setDebugMode', debug: boolean): Chainable<null>;
+// Extend the global Cypress namespace with the commands and tasks. This file is a module (see `export {}`),
+// so a top-level `declare namespace Cypress` would declare a separate local namespace.
+declare global {
+    namespace Cypress {
+        interface Chainable {
+            /**
+             * Declares a console error the current test expects. Matching errors (string: partial match,
+             * RegExp: test) do not fail the test; the test fails if the error does not occur as expected.
+             * @example cy.expectConsoleError('Validation failed', { times: 1 })
+             */
+            expectConsoleError(
+                pattern: string | RegExp,
+                options?: import('@mknrt/cypress-console-spy').ExpectConsoleErrorOptions
+            ): Chainable<null>;
 
-        /**
-         * Log console error (legacy)
-         */
-        task(
-            event: 'logConsoleError',
-            arg: { message: unknown; type: string },
-            options?: Partial<Loggable & Timeoutable>
-        ): Chainable<null>;
+            /**
+             * Yields the console issues collected so far in the current test
+             */
+            getConsoleIssues(): Chainable<import('@mknrt/cypress-console-spy').ConsoleIssue[]>;
 
-        /**
-         * Save console error to file (legacy)
-         */
-        task(
-            event: 'saveConsoleErrorToFile',
-            arg: { message: unknown; type: string; testPath: string },
-            options?: Partial<Loggable & Timeoutable>
-        ): Chainable<null>;
+            /**
+             * Discards the console issues collected so far in the current test
+             */
+            clearConsoleIssues(): Chainable<null>;
 
-        /**
-         * Notify about critical error (legacy)
-         */
-        task(
-            event: 'notifyCriticalError',
-            arg: { message: unknown; type: string },
-            options?: Partial<Loggable & Timeoutable>
-        ): Chainable<null>;
+            /**
+             * Process console issues batch (internal use)
+             */
+            task(
+                event: 'processConsoleBatch',
+                arg: {
+                    issues: Array<{
+                        type: string;
+                        message: string;
+                        fingerprint?: string;
+                        normalized?: string;
+                        timestamp?: string;
+                        stack?: string;
+                        source?: string;
+                        network?: import('@mknrt/cypress-console-spy').NetworkIssueDetails;
+                        frame?: string;
+                        framework?: 'react' | 'vue';
+                    }>;
+                    testPath: string;
+                    testTitle?: string;
+                    attempt?: number;
+                    /** Attempts of the test whose console check ran */
+                    checkedAttempts?: number[];
+                    failed?: boolean;
+                    logToFile: boolean;
+                },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+
+            /**
+             * Get baseline entries for a spec (internal use), null when baseline mode is off
+             */
+            task(
+                event: 'getConsoleBaseline',
+                arg: { testPath: string },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<{ update: boolean; tests: Record<string, string[]> } | null>;
+
+            /**
+             * Resolve stack traces to original sources through source maps (internal use)
+             */
+            task(
+                event: 'resolveStackTraces',
+                arg: { stacks: string[] },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<Array<{ stack: string; topFrame: string }>>;
+
+            /**
+             * Get the rules of the shared whitelist file (internal use). RegExps are sent as "/source/flags" strings.
+             */
+            task(
+                event: 'getSharedWhitelist',
+                arg?: null,
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<Array<string | import('@mknrt/cypress-console-spy').WhitelistRule>>;
+
+            /**
+             * Count whitelist rule hits of a test, keyed by rule description (internal use)
+             */
+            task(
+                event: 'recordWhitelistHits',
+                arg: {
+                    hits: Record<string, number>;
+                    issues?: Array<Omit<import('@mknrt/cypress-console-spy').WhitelistedIssue, 'spec' | 'test' | 'attempt'>>;
+                    testPath?: string;
+                    testTitle?: string;
+                    attempt?: number;
+                },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+
+            /**
+             * Print a warning about expired whitelist rules (internal use)
+             */
+            task(
+                event: 'reportExpiredWhitelistRules',
+                arg: { rules: string[]; spec: string; policy: 'warn' | 'fail' },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+
+            /**
+             * Get current error statistics, optionally filtered by spec and/or full test title
+             */
+            task(
+                event: 'getErrorStats',
+                filter?: import('@mknrt/cypress-console-spy').ErrorStatsFilter,
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<import('@mknrt/cypress-console-spy').ErrorStats>;
+
+            /**
+             * Reset error statistics
+             */
+            task(event: 'resetErrorStats'): Chainable<null>;
+
+            /**
+             * Enable or disable debug mode
+             */
+            task(event: 'setDebugMode', debug: boolean): Chainable<null>;
+
+            /**
+             * Log console error (legacy)
+             */
+            task(
+                event: 'logConsoleError',
+                arg: { message: unknown; type: string },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+
+            /**
+             * Save console error to file (legacy)
+             */
+            task(
+                event: 'saveConsoleErrorToFile',
+                arg: { message: unknown; type: string; testPath: string },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+
+            /**
+             * Notify about critical error (legacy)
+             */
+            task(
+                event: 'notifyCriticalError',
+                arg: { message: unknown; type: string },
+                options?: Partial<Loggable & Timeoutable>
+            ): Chainable<null>;
+        }
+
+        interface cy {
+            consoleSpy: {
+                /**
+                 * Runs the commands queued by `fn` with issues matching `pattern` (string: partial match,
+                 * RegExp: test) treated as whitelisted
+                 * @example cy.consoleSpy.allow(/ResizeObserver/, () => cy.get('.panel').click())
+                 */
+                allow(pattern: string | RegExp, fn: () => void): Chainable<null>;
+
+                /**
+                 * Stops recording console issues until `cy.consoleSpy.resume()` or the end of the test or hook
+                 */
+                pause(): Chainable<null>;
+
+                /**
+                 * Records console issues again after `cy.consoleSpy.pause()`
+                 */
+                resume(): Chainable<null>;
+            };
+        }
+
+        interface Cypress {
+            consoleSpy: {
+                /**
+                 * Changes the config for the rest of the spec, between the global and describe levels.
+                 * Whitelists and method policies add up over several calls.
+                 */
+                configure(options: import('@mknrt/cypress-console-spy').ConsoleDaemonConfig): void;
+
+                /**
+                 * Discards the config set with `configure`
+                 */
+                reset(): void;
+
+                /**
+                 * Returns the config of the running test or hook, or the spec-level config between tests
+                 */
+                getConfig(): import('@mknrt/cypress-console-spy').ConsoleDaemonConfig;
+            };
+        }
     }
 }
 
-// Augment global describe and it to support consoleDaemon config
+// Augment global describe (including .only and .skip) and it to support consoleDaemon config
 declare global {
     namespace Mocha {
         interface SuiteFunction {
@@ -206,6 +945,22 @@ declare global {
             ): Suite;
         }
 
+        interface ExclusiveSuiteFunction {
+            (
+                title: string,
+                config: import('@mknrt/cypress-console-spy').TestConfigWithConsoleDaemon,
+                fn: (this: Suite) => void
+            ): Suite;
+        }
+
+        interface PendingSuiteFunction {
+            (
+                title: string,
+                config: import('@mknrt/cypress-console-spy').TestConfigWithConsoleDaemon,
+                fn: (this: Suite) => void
+            ): Suite | void;
+        }
+
         interface TestFunction {
             (
                 title: string,
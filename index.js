@@ -1,6 +1,9 @@
+const { stdoutReporter, fileReporter, webhookReporter } = require('./src/reporters');
+
 module.exports = {
     client: require('./src/client'),
     server: require('./src/server'),
+    stdoutReporter,
+    fileReporter,
+    webhookReporter,
 };
-
-
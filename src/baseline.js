@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASELINE_FILE = path.join('cypress', 'console-baseline.json');
+
+/**
+ * Reads a baseline file. Returns null if the file does not exist.
+ * Baseline format: { specs: { [specPath]: { [testTitle]: string[] } } }
+ * @param {string} baselinePath - Absolute path of the baseline file
+ * @returns {Object|null} - Parsed baseline or null
+ */
+const loadBaseline = (baselinePath) => {
+    if (!fs.existsSync(baselinePath)) {
+        return null;
+    }
+    const parsed = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    return { specs: parsed?.specs || {} };
+};
+
+/**
+ * Writes a baseline file with stable ordering so diffs stay readable
+ * @param {string} baselinePath - Absolute path of the baseline file
+ * @param {Object} baseline - Baseline object ({ specs })
+ */
+const saveBaseline = async (baselinePath, baseline) => {
+    const specs = {};
+    Object.keys(baseline.specs).sort().forEach((spec) => {
+        const tests = {};
+        Object.keys(baseline.specs[spec]).sort().forEach((test) => {
+            tests[test] = [...new Set(baseline.specs[spec][test])].sort();
+        });
+        if (Object.keys(tests).length > 0) {
+            specs[spec] = tests;
+        }
+    });
+    await fs.promises.mkdir(path.dirname(baselinePath), { recursive: true });
+    await fs.promises.writeFile(baselinePath, JSON.stringify({ specs }, null, 2) + '\n', 'utf8');
+};
+
+/**
+ * Merges messages observed during a run into a baseline.
+ * Specs that ran are replaced entirely, other specs are kept as they were.
+ * @param {Object|null} baseline - Existing baseline
+ * @param {string[]} specsRun - Specs executed in this run
+ * @param {Object} observed - Observed messages: { [spec]: { [test]: Set<string> } }
+ * @returns {Object} - Updated baseline
+ */
+const mergeBaseline = (baseline, specsRun, observed) => {
+    const specs = { ...(baseline?.specs || {}) };
+    specsRun.forEach((spec) => {
+        delete specs[spec];
+    });
+    Object.keys(observed).forEach((spec) => {
+        specs[spec] = {};
+        Object.keys(observed[spec]).forEach((test) => {
+            specs[spec][test] = [...observed[spec][test]];
+        });
+    });
+    return { specs };
+};
+
+/**
+ * Lists baseline entries of the executed specs that did not occur during the run
+ * @param {Object|null} baseline - Existing baseline
+ * @param {string[]} specsRun - Specs executed in this run
+ * @param {Object} observed - Observed messages: { [spec]: { [test]: Set<string> } }
+ * @param {function(string): string} [normalize] - Normalizes messages before comparing them
+ * @returns {Array<{spec: string, test: string, message: string}>} - Stale entries
+ */
+const findStaleEntries = (baseline, specsRun, observed, normalize = (message) => message) => {
+    const stale = [];
+    if (!baseline) {
+        return stale;
+    }
+    specsRun.forEach((spec) => {
+        const tests = baseline.specs[spec] || {};
+        Object.keys(tests).forEach((test) => {
+            const seen = new Set([...(observed[spec]?.[test] || [])].map(normalize));
+            tests[test].forEach((message) => {
+                if (!seen.has(normalize(message))) {
+                    stale.push({ spec, test, message });
+                }
+            });
+        });
+    });
+    return stale;
+};
+
+module.exports = {
+    DEFAULT_BASELINE_FILE,
+    loadBaseline,
+    saveBaseline,
+    mergeBaseline,
+    findStaleEntries,
+};
@@ -1,12 +1,61 @@
+const { DEFAULT_STATUS_RANGES, trackNetworkRequests } = require('./network');
+const { cleanStack, parseStack, formatFrame } = require('./stack');
+const { toRule, matchesText, isExpired, matchesRule, describeRule } = require('./whitelist');
+const { parsePattern, parseConfigPatterns, validateConfig, createConfigError } = require('./config');
+const { fingerprintIssue, normalizeMessage } = require('./fingerprint');
+const { isErrorType, addWhitelisted } = require('./stats');
+const { injectStyles, logIssue } = require('./commandLog');
+const { ORIGIN_MESSAGE_TYPE } = require('./origin');
+const { FRAMEWORK_METHODS, detectFramework } = require('./framework');
+
 const defaultConfig = {
     failOnSpy: true,
     logToFile: true,
     methodsToTrack: ['error'],
+    eventsToTrack: [],
     throwOnWarning: false,
     whitelist: [],
+    trackNetwork: false,
+    networkStatusRanges: DEFAULT_STATUS_RANGES,
+    networkWhitelist: [],
+    normalizationRules: [],
+    expiredRulePolicy: 'warn',
+    retryPolicy: 'any',
+    failFast: false,
+    monitorHooks: false,
+    commandLog: true,
     debug: false,
 };
 
+// Issue types captured from window events, each enabled through eventsToTrack
+const EVENT_ISSUE_TYPES = {
+    unhandledrejection: 'unhandledrejection',
+    securitypolicyviolation: 'csp',
+    resource: 'resource',
+};
+
+// Issue types that are checked like console errors
+const ERROR_ISSUE_TYPES = ['error', 'assert', 'framework', 'network', ...Object.values(EVENT_ISSUE_TYPES)];
+
+// What happens to the calls of each console method: 'fail' fails the test, 'record' only logs and reports
+// them, 'ignore' drops them. Issues from window events and network tracking always use 'fail'. Framework
+// warnings get their default from the warn policy (see getMethodPolicies).
+const DEFAULT_METHOD_POLICIES = {
+    error: 'fail',
+    warn: 'ignore',
+    log: 'ignore',
+    info: 'ignore',
+    debug: 'ignore',
+    assert: 'fail',
+    trace: 'ignore',
+};
+
+// Options applied when the support file loads, which Cypress.consoleSpy.configure cannot change
+const SETUP_ONLY_KEYS = ['methodsToTrack', 'eventsToTrack', 'trackNetwork', 'networkStatusRanges', 'whitelistFile'];
+
+// Elements whose failed loads are reported as resource issues
+const RESOURCE_TAGS = ['SCRIPT', 'IMG', 'LINK'];
+
 /**
  * Safely converts message to string
  * Handles Error objects, arrays, and other types properly
@@ -63,50 +112,137 @@ const messageToString = (message) => {
 };
 
 module.exports = (Cypress, customConfig = {}) => {
-    const config = { ...defaultConfig, ...customConfig };
+    // Validate up front so configuration mistakes fail with a clear message instead of mid-test
+    const validation = validateConfig(customConfig, 'consoleDaemon');
+    validation.warnings.forEach((warning) => console.warn('[cypress-console-spy]', warning));
+    if (validation.errors.length > 0) {
+        throw createConfigError(validation.errors);
+    }
+    const config = { ...defaultConfig, ...parseConfigPatterns(customConfig || {}) };
+    // Component tests spy on the methods React and Vue report their warnings through
+    const isComponentTesting = Cypress.testingType === 'component';
+    const trackFrameworkWarnings = isComponentTesting && config.methodPolicies?.framework !== 'ignore';
+    // Spied methods: methodsToTrack plus methods given a non-ignore policy in the global config
+    const trackedMethods = [
+        ...new Set([
+            ...config.methodsToTrack,
+            ...Object.keys(config.methodPolicies || {}).filter(
+                (method) => method !== 'framework' && config.methodPolicies[method] !== 'ignore'
+            ),
+            ...(trackFrameworkWarnings ? FRAMEWORK_METHODS : []),
+        ]),
+    ];
+    // Stacks are resolved by the server only when it has source map directories to read
+    const hasSourceMaps = [].concat(config.sourceMapDirs || []).length > 0;
     const consoleSpies = {};
+    // Spies in same-origin child frames: [{ method, spy, frame }]
+    const frameSpies = [];
     const allIssues = [];
+    // Console errors the current test expects via cy.expectConsoleError
+    const expectations = [];
+    // Patterns of the cy.consoleSpy.allow blocks being run ({ pattern, description })
+    const allowances = [];
+    // Set between cy.consoleSpy.pause() and resume(), at most until the test or hook ends
+    let recordingPaused = false;
+    // Config set with Cypress.consoleSpy.configure for the rest of the spec
+    let runtimeConfig = {};
     let currentTestConfig = {};
+    // Full title of the hook being checked ('Suite > "beforeEach" hook'), null while a test runs
+    let currentHookTitle = null;
+    // Test or hook being monitored ({ testConfig, describeConfig }), null between tests. Issues are logged
+    // live and child frames are spied on only while it is set.
+    let monitoredTarget = null;
     // Track current describe config per test context (using WeakMap for garbage collection)
     const describeConfigForTests = new WeakMap();
-    // Track windows with attached error handlers to prevent duplicates
-    const windowsWithErrorHandlers = new WeakSet();
+    // Documents of the application window and child frames with error handlers, and documents watched for
+    // new frames. Keyed on the document: the window object of a frame stays the same across navigations.
+    const documentsWithErrorHandlers = new WeakSet();
+    const watchedDocuments = new WeakSet();
+    // Whitelist hits per entry (for maxOccurrences) and expired entries already reported in this spec
+    const whitelistHits = new Map();
+    const reportedExpiredRules = new Set();
+    // Hits per rule description since the last report to the server (for unused-rule reporting)
+    let pendingRuleHits = {};
+    // Rules from the shared whitelist file, fetched from the server before the first test
+    let sharedWhitelist = null;
 
     // Utility to log debug messages if debug mode is enabled
     const debugLog = (...args) => {
         if (config.debug) console.log(...args);
     };
 
+    // Validates and parses a describe/it level consoleDaemon config, warning about each problem once
+    // Parsed configs are cached so rule objects keep their identity (and hit counts) across tests
+    const reportedConfigWarnings = new Set();
+    const parsedLevelConfigs = new WeakMap();
+    const parseLevelConfig = (levelConfig, location) => {
+        if (!levelConfig) return {};
+        if (parsedLevelConfigs.has(levelConfig)) return parsedLevelConfigs.get(levelConfig);
+        const { errors, warnings } = validateConfig(levelConfig, location);
+        warnings
+            .filter((warning) => !reportedConfigWarnings.has(warning))
+            .forEach((warning) => {
+                reportedConfigWarnings.add(warning);
+                console.warn('[cypress-console-spy]', warning);
+            });
+        if (errors.length > 0) {
+            throw createConfigError(errors);
+        }
+        const parsed = parseConfigPatterns(levelConfig);
+        parsedLevelConfigs.set(levelConfig, parsed);
+        return parsed;
+    };
+
     // Merges configurations from describe and test levels
     // ONLY reads from consoleDaemon key: { consoleDaemon: { failOnSpy: false } }
     const getMergedConfig = (testConfig, describeConfigForTest = {}) => {
-        const describeConsoleDaemon = describeConfigForTest?.consoleDaemon || {};
-        const testConsoleDaemon = testConfig?.consoleDaemon || {};
+        const describeConsoleDaemon = parseLevelConfig(describeConfigForTest?.consoleDaemon, 'describe consoleDaemon');
+        const testConsoleDaemon = parseLevelConfig(testConfig?.consoleDaemon, 'it consoleDaemon');
 
         // Merge whitelists from all levels (not override)
         // This allows adding to the global whitelist at describe/test level
         const mergedWhitelist = [
             ...(config.whitelist || []),
+            ...(sharedWhitelist || []),
+            ...(runtimeConfig.whitelist || []),
             ...(describeConsoleDaemon.whitelist || []),
             ...(testConsoleDaemon.whitelist || []),
         ];
 
+        const mergedNetworkWhitelist = [
+            ...(config.networkWhitelist || []),
+            ...(runtimeConfig.networkWhitelist || []),
+            ...(describeConsoleDaemon.networkWhitelist || []),
+            ...(testConsoleDaemon.networkWhitelist || []),
+        ];
+
         const merged = {
             ...defaultConfig,
             ...config, // Global customConfig from Cypress.env('consoleDaemon')
+            ...runtimeConfig, // Set with Cypress.consoleSpy.configure
             ...describeConsoleDaemon,
             ...testConsoleDaemon,
             // Whitelist is merged from all levels, not overridden
             whitelist: mergedWhitelist,
+            networkWhitelist: mergedNetworkWhitelist,
+            // Policies are merged per method
+            methodPolicies: {
+                ...config.methodPolicies,
+                ...runtimeConfig.methodPolicies,
+                ...describeConsoleDaemon.methodPolicies,
+                ...testConsoleDaemon.methodPolicies,
+            },
             debug:
                 testConsoleDaemon.debug ??
                 describeConsoleDaemon.debug ??
+                runtimeConfig.debug ??
                 config.debug ??
                 defaultConfig.debug,
         };
         debugLog('Merged config:', {
             default: defaultConfig,
             custom: config,
+            runtime: runtimeConfig,
             describe: describeConsoleDaemon,
             test: testConsoleDaemon,
             result: merged,
@@ -114,50 +250,229 @@ module.exports = (Cypress, customConfig = {}) => {
         return merged;
     };
 
-    // Determines the issue type based on console method
-    const getIssueType = (method) => {
-        if (method === 'error') return 'error';
-        if (method === 'warn') return 'warn';
-        return 'info';
+    // Resolves the policy of each console method. Without an explicit warn policy, throwOnWarning and
+    // warning budgets decide whether warnings fail tests or are only recorded. Framework warnings count as
+    // warnings: without their own policy they fail tests when warnings do and are recorded otherwise.
+    const getMethodPolicies = (mergedConfig) => {
+        let warn = DEFAULT_METHOD_POLICIES.warn;
+        if (mergedConfig.throwOnWarning || mergedConfig.maxWarnings !== undefined) {
+            warn = 'fail';
+        } else if (
+            mergedConfig.specBudget?.maxWarnings !== undefined ||
+            mergedConfig.runBudget?.maxWarnings !== undefined
+        ) {
+            warn = 'record';
+        }
+        const framework = (mergedConfig.methodPolicies?.warn ?? warn) === 'fail' ? 'fail' : 'record';
+        return { ...DEFAULT_METHOD_POLICIES, warn, framework, ...mergedConfig.methodPolicies };
+    };
+
+    // Builds the message used for whitelist matching from console arguments
+    const argsToRawMessage = (args) => {
+        let rawMessage = '';
+        for (const arg of args) {
+            if (arg instanceof Error) {
+                rawMessage += (arg.name ? arg.name + ': ' : '') + (arg.message || '') + ' ';
+            } else if (typeof arg === 'string') {
+                rawMessage += arg + ' ';
+            } else if (arg && typeof arg === 'object' && arg.message) {
+                rawMessage += (arg.name ? arg.name + ': ' : '') + arg.message + ' ';
+            } else if (arg !== null && arg !== undefined) {
+                rawMessage += messageToString(arg) + ' ';
+            }
+        }
+        return rawMessage.trim();
+    };
+
+    // Console arguments as shown in the browser: console.assert only reports failed assertions
+    const getCallArgs = (method, args) => {
+        if (method === 'assert') {
+            if (args[0]) return null;
+            return args.length > 1 ? ['Assertion failed:', ...args.slice(1)] : ['Assertion failed'];
+        }
+        if (method === 'trace' && args.length === 0) {
+            return ['console.trace'];
+        }
+        return args;
+    };
+
+    // Builds the issue for a console call from its (getCallArgs) arguments.
+    // `frame` is the URL of the child frame or cy.origin window the call came from.
+    const buildConsoleIssue = (method, args, stack, frame = null) => {
+        // Raw message for whitelist matching
+        const rawMessage = argsToRawMessage(args);
+        // In component tests React and Vue development warnings form their own type. E2E issues keep the type
+        // of their console method, so existing whitelist rules, policies and budgets still apply to them.
+        const framework = isComponentTesting ? detectFramework(method, rawMessage) : null;
+        return {
+            type: framework ? 'framework' : method,
+            message: args,
+            rawMessage,
+            // Call-site stack, without runner frames
+            stack: cleanStack(stack),
+            ...(framework ? { framework } : {}),
+            ...(frame ? { frame } : {}),
+            timestamp: new Date().toISOString(),
+        };
+    };
+
+    // Marks an issue matching the pattern of a running cy.consoleSpy.allow block
+    const tagAllowance = (issue) => {
+        const message = issue.rawMessage || messageToString(issue.message);
+        const allowance = allowances.find(({ pattern }) => matchesText(message, pattern));
+        if (allowance) issue.allowedBy = allowance.description;
+        return issue;
+    };
+
+    // Adds captured issues to allIssues; nothing is recorded while paused with cy.consoleSpy.pause()
+    const addIssues = (issues) => {
+        if (recordingPaused) return;
+        allIssues.push(...issues.map(tagAllowance));
     };
 
     // Collects calls from a spy and adds them to allIssues
-    const collectSpyCalls = (method, spy) => {
+    const collectSpyCalls = (method, spy, frame = null) => {
         if (!spy?.getCalls) return;
         const calls = spy.getCalls();
         const newIssues = calls.map((call) => {
-            // Extract raw message for whitelist matching
-            // Try to get the most meaningful string representation
-            const args = call.args;
-            let rawMessage = '';
-            
-            // Build rawMessage from all arguments
-            for (const arg of args) {
-                if (arg instanceof Error) {
-                    rawMessage += (arg.name ? arg.name + ': ' : '') + (arg.message || '') + ' ';
-                } else if (typeof arg === 'string') {
-                    rawMessage += arg + ' ';
-                } else if (arg && typeof arg === 'object' && arg.message) {
-                    rawMessage += (arg.name ? arg.name + ': ' : '') + arg.message + ' ';
-                } else if (arg !== null && arg !== undefined) {
-                    rawMessage += messageToString(arg) + ' ';
-                }
-            }
-            
-            return {
-                type: getIssueType(method),
-                message: args,
-                rawMessage: rawMessage.trim(),
-            };
-        });
-        allIssues.push(...newIssues);
+            const args = getCallArgs(method, call.args);
+            return args ? buildConsoleIssue(method, args, call.stack, frame) : null;
+        }).filter(Boolean);
+        addIssues(newIssues);
+        // Forget collected calls so that collecting again mid-test does not duplicate them
+        spy.resetHistory?.();
         debugLog(`Collected ${calls.length} calls for ${method}`);
     };
 
+    // Collects calls from all active spies
+    const collectAllSpyCalls = () => {
+        trackedMethods.forEach((method) => collectSpyCalls(method, consoleSpies[method]));
+        frameSpies.forEach(({ method, spy, frame }) => collectSpyCalls(method, spy, frame));
+    };
+
+    // Adds an issue captured from a window event to allIssues
+    const recordEventIssue = (type, errorMessage, rawMessage, stack = '', sourceUrl = '', frame = null) => {
+        const issue = {
+            type,
+            message: [errorMessage],
+            rawMessage,
+            stack: cleanStack(stack),
+            sourceUrl,
+            ...(frame ? { frame } : {}),
+            timestamp: new Date().toISOString(),
+        };
+        addIssues([issue]);
+        logIssueLive(issue);
+        debugLog(`Captured ${type} event: ${errorMessage}`);
+    };
+
+    // Adds a failed network request to allIssues
+    const recordNetworkIssue = ({ method, url, status, statusText }, frame = null) => {
+        const outcome = status ? `${status}${statusText ? ' ' + statusText : ''}` : `failed (${statusText})`;
+        const rawMessage = `${method} ${url} ${outcome}`;
+        const issue = {
+            type: 'network',
+            message: [`Network request ${rawMessage}`],
+            rawMessage,
+            network: { method, url, status },
+            ...(frame ? { frame } : {}),
+            timestamp: new Date().toISOString(),
+        };
+        addIssues([issue]);
+        logIssueLive(issue);
+        debugLog(`Captured network issue: ${rawMessage}`);
+    };
+
+    // Adds an uncaught error reported by a window 'error' event (or a cy.origin window) to allIssues
+    const recordUncaughtError = ({ message, filename, lineno, colno, stack }, frame = null) => {
+        recordEventIssue(
+            'error',
+            `Uncaught Error: ${message} at ${filename}:${lineno}`,
+            message,
+            stack || `    at ${filename}:${lineno}:${colno}`,
+            filename,
+            frame
+        );
+    };
+
+    // Adds the error and window event handlers to a window (the application or a child frame)
+    const attachErrorHandlers = (win, frame = null) => {
+        const eventsToTrack = config.eventsToTrack || [];
+
+        win.addEventListener('error', (event) => {
+            recordUncaughtError({
+                message: event.message,
+                filename: event.filename,
+                lineno: event.lineno,
+                colno: event.colno,
+                stack: event.error?.stack,
+            }, frame);
+        });
+
+        if (eventsToTrack.includes('unhandledrejection')) {
+            win.addEventListener('unhandledrejection', (event) => {
+                const reason = messageToString(event.reason);
+                recordEventIssue(
+                    EVENT_ISSUE_TYPES.unhandledrejection,
+                    `Unhandled Rejection: ${reason}`,
+                    reason,
+                    event.reason?.stack,
+                    '',
+                    frame
+                );
+            });
+        }
+
+        if (eventsToTrack.includes('securitypolicyviolation')) {
+            win.addEventListener('securitypolicyviolation', (event) => {
+                const rawMessage = `CSP violation: ${event.violatedDirective} blocked ${event.blockedURI || 'inline'}`;
+                const location = event.sourceFile ? ` at ${event.sourceFile}:${event.lineNumber}` : '';
+                recordEventIssue(
+                    EVENT_ISSUE_TYPES.securitypolicyviolation,
+                    rawMessage + location,
+                    rawMessage,
+                    '',
+                    event.sourceFile,
+                    frame
+                );
+            });
+        }
+
+        if (eventsToTrack.includes('resource')) {
+            // Resource load errors do not bubble, so listen in the capture phase
+            win.addEventListener('error', (event) => {
+                const target = event.target;
+                if (!target || target === win || !RESOURCE_TAGS.includes(target.tagName)) return;
+                const url = target.src || target.href || '';
+                const rawMessage = `Failed to load <${target.tagName.toLowerCase()}> resource: ${url}`;
+                recordEventIssue(EVENT_ISSUE_TYPES.resource, rawMessage, rawMessage, '', url, frame);
+            }, true);
+        }
+        debugLog('Error handlers attached to window:', ['error', ...eventsToTrack]);
+    };
+
+    // Patches fetch and XMLHttpRequest of a window to record failed requests, when trackNetwork is on
+    const attachNetworkTracking = (win, frame = null) => {
+        if (!config.trackNetwork) return;
+        trackNetworkRequests(win, {
+            statusRanges: config.networkStatusRanges,
+            onIssue: (request) => recordNetworkIssue(request, frame),
+        });
+        debugLog('Network tracking attached to window');
+    };
+
+    // Adds the error handlers and network tracking to each page loaded in the application window once
+    const attachWindowHandlers = (win) => {
+        if (documentsWithErrorHandlers.has(win.document)) return;
+        documentsWithErrorHandlers.add(win.document);
+        attachErrorHandlers(win);
+        attachNetworkTracking(win);
+    };
+
     // Sets up console spies and error handlers for a given window
     const setupConsoleSpy = (win) => {
         // Collect data from existing spies before cleaning up
-        config.methodsToTrack.forEach((method) => {
+        trackedMethods.forEach((method) => {
             if (consoleSpies[method]) {
                 collectSpyCalls(method, consoleSpies[method]);
             }
@@ -177,9 +492,11 @@ module.exports = (Cypress, customConfig = {}) => {
         Object.keys(consoleSpies).forEach((key) => delete consoleSpies[key]);
 
         // Create new spies
-        config.methodsToTrack.forEach((method) => {
+        trackedMethods.forEach((method) => {
             if (win.console && win.console[method] && !consoleSpies[method]) {
                 try {
+                    // The live log wrapper goes under the spy, so restoring the spy keeps it
+                    wrapConsoleMethod(win, method);
                     consoleSpies[method] = cy.spy(win.console, method);
                     debugLog(`Spy created for console.${method}`);
                 } catch (e) {
@@ -188,30 +505,137 @@ module.exports = (Cypress, customConfig = {}) => {
             }
         });
 
-        // Add global error handler only once per window
-        if (!windowsWithErrorHandlers.has(win)) {
-            windowsWithErrorHandlers.add(win);
-            win.addEventListener('error', (event) => {
-                const errorMessage = `Uncaught Error: ${event.message} at ${event.filename}:${event.lineno}`;
-                const rawMessage = event.message;
-                allIssues.push({
-                    type: 'error',
-                    message: [errorMessage],
-                    rawMessage,
+        // Error handlers are normally attached on window:before:load; windows without that event
+        // (component tests, the window of a test started before any visit) get them here
+        attachWindowHandlers(win);
+        spyOnChildFrames(win);
+    };
+
+    // Spies on a same-origin child frame: its console methods, error handlers and own child frames
+    const spyOnFrame = (iframe) => {
+        let frameWin;
+        try {
+            frameWin = iframe.contentWindow;
+            // Reading the document of a cross-origin frame throws, such frames cannot be spied on
+            if (!frameWin?.document || !frameWin.console) return;
+        } catch (e) {
+            debugLog('Skipping cross-origin frame:', iframe.src);
+            return;
+        }
+        const frame = frameWin.location.href;
+        trackedMethods.forEach((method) => {
+            const spied = frameSpies.some((entry) => entry.console === frameWin.console && entry.method === method);
+            if (spied || typeof frameWin.console[method] !== 'function') return;
+            try {
+                wrapConsoleMethod(frameWin, method, frame);
+                frameSpies.push({ method, frame, console: frameWin.console, spy: cy.spy(frameWin.console, method) });
+                debugLog(`Spy created for console.${method} in frame ${frame}`);
+            } catch (e) {
+                debugLog(`Failed to create spy for console.${method} in frame ${frame}:`, e.message);
+            }
+        });
+        // A navigated frame gets a new document without the previous listeners
+        if (!documentsWithErrorHandlers.has(frameWin.document)) {
+            documentsWithErrorHandlers.add(frameWin.document);
+            attachErrorHandlers(frameWin, frame);
+            attachNetworkTracking(frameWin, frame);
+        }
+        spyOnChildFrames(frameWin);
+    };
+
+    // Spies on the child frames of a window and watches for frames added or navigated later
+    const spyOnChildFrames = (win) => {
+        const doc = win.document;
+        if (!doc?.querySelectorAll) return;
+        doc.querySelectorAll('iframe').forEach(spyOnFrame);
+        if (watchedDocuments.has(doc) || typeof win.MutationObserver !== 'function') return;
+        watchedDocuments.add(doc);
+
+        // Frames load asynchronously and may navigate, so spy again after every load
+        const watchFrame = (iframe) => {
+            iframe.addEventListener('load', () => {
+                if (monitoredTarget) spyOnFrame(iframe);
+            });
+        };
+        doc.querySelectorAll('iframe').forEach(watchFrame);
+        new win.MutationObserver((mutations) => {
+            mutations.forEach((mutation) => mutation.addedNodes.forEach((node) => {
+                const iframes = node.tagName === 'IFRAME' ? [node] : [...(node.querySelectorAll?.('iframe') || [])];
+                iframes.forEach((iframe) => {
+                    watchFrame(iframe);
+                    if (monitoredTarget) spyOnFrame(iframe);
                 });
-                debugLog(`Captured uncaught error: ${errorMessage}`);
+            }));
+        }).observe(doc, { childList: true, subtree: true });
+    };
+
+    // Records a console call or uncaught error sent from a cy.origin window
+    const recordOriginMessage = ({ kind, method, args, stack, frame, ...error }) => {
+        if (kind === 'error') {
+            recordUncaughtError({ ...error, stack }, frame);
+            return;
+        }
+        const callArgs = trackedMethods.includes(method) ? getCallArgs(method, args || []) : null;
+        if (!callArgs) return;
+        const issue = buildConsoleIssue(method, callArgs, stack, frame);
+        addIssues([issue]);
+        logIssueLive(issue);
+        debugLog(`Captured console.${method} from ${frame}`);
+    };
+
+    // Full title of the running test, e.g. "Suite > nested suite > test"
+    const getTestTitle = () => {
+        if (currentHookTitle) return currentHookTitle;
+        const currentTest = Cypress.currentTest || {};
+        return (currentTest.titlePath || [currentTest.title]).filter(Boolean).join(' > ');
+    };
+
+    // Resolves issue stacks to original sources through the server's source maps
+    const resolveStacks = (issues) => {
+        const issuesWithStack = issues.filter((issue) => issue.stack && !issue.source);
+        if (issuesWithStack.length === 0) {
+            return cy.wrap(null, { log: false });
+        }
+        // Without sourceMapDirs the server would return the stacks unchanged, so skip the task
+        // and use the bundled top frame
+        if (!hasSourceMaps) {
+            issuesWithStack.forEach((issue) => {
+                const [topFrame] = parseStack(issue.stack);
+                issue.source = topFrame ? formatFrame(topFrame) : '';
             });
-            debugLog('Error handler attached to window');
+            return cy.wrap(null, { log: false });
         }
+        return cy.task('resolveStackTraces', {
+            stacks: issuesWithStack.map((issue) => issue.stack),
+        }, { log: false }).then((resolved) => {
+            issuesWithStack.forEach((issue, index) => {
+                issue.stack = resolved[index].stack;
+                issue.source = resolved[index].topFrame;
+            });
+            debugLog('Resolved stack traces:', resolved);
+        });
     };
 
+    // Fingerprint of an issue: type plus message with volatile parts masked
+    const getFingerprint = (issue) =>
+        fingerprintIssue(issue.type, issue.rawMessage || messageToString(issue.message), config.normalizationRules);
+
     // Processes and logs issues (errors/warnings) in batch for better performance
-    const processIssues = (issues) => {
-        if (issues.length === 0) {
+    // `meta` ({ testTitle, attempt }) overrides the current test, for issues reported after it ended
+    const processIssues = (issues, failed = false, meta = {}) => {
+        const testPath = Cypress.spec.relative;
+        const testTitle = meta.testTitle ?? getTestTitle();
+        const attempt = meta.attempt ?? Cypress.currentRetry ?? 0;
+        // Issues are processed once the console check of an attempt ran. The server compares only
+        // these checked attempts for flaky errors, not attempts that failed before the check.
+        const checkedKey = `${testPath}\u0000${testTitle}`;
+        const checked = [...new Set([...(checkedAttempts.get(checkedKey) || []), attempt])];
+        checkedAttempts.set(checkedKey, checked);
+        // Retries are always reported so the server knows which attempts were checked
+        if (issues.length === 0 && attempt === 0) {
             return cy.wrap(null, { log: false });
         }
 
-        const testPath = Cypress.spec.relative;
         debugLog('Cypress.spec:', Cypress.spec);
         debugLog('Processing issues batch:', issues);
 
@@ -221,12 +645,222 @@ module.exports = (Cypress, customConfig = {}) => {
             issues: issues.map((issue) => ({
                 type: issue.type,
                 message: issue.rawMessage || messageToString(issue.message),
+                ...getFingerprint(issue),
+                timestamp: issue.timestamp,
+                ...(issue.network ? { network: issue.network } : {}),
+                ...(issue.stack ? { stack: issue.stack, source: issue.source } : {}),
+                ...(issue.frame ? { frame: issue.frame } : {}),
+                ...(issue.framework ? { framework: issue.framework } : {}),
             })),
             testPath,
+            testTitle,
+            attempt,
+            checkedAttempts: checked,
+            failed,
             logToFile: config.logToFile,
         }, { log: false });
     };
 
+    // Baseline entries for the current spec, fetched once per spec from the server
+    let baselineCache = null;
+    const getBaseline = () => {
+        const testPath = Cypress.spec.relative;
+        if (baselineCache && baselineCache.spec === testPath) {
+            return cy.wrap(baselineCache.baseline, { log: false });
+        }
+        return cy.task('getConsoleBaseline', { testPath }, { log: false }).then((baseline) => {
+            baselineCache = { spec: testPath, baseline };
+            debugLog('Baseline for spec:', baseline);
+            return baseline;
+        });
+    };
+
+    // Checks whether an issue is already recorded in the baseline for the current test
+    const isInBaseline = (issue, baseline) => {
+        if (!baseline) return false;
+        // While updating the baseline every issue becomes part of it
+        if (baseline.update) return true;
+        // Compare normalized messages so IDs and timestamps in messages do not matter
+        const normalize = (message) => normalizeMessage(message, config.normalizationRules);
+        const knownMessages = (baseline.tests[getTestTitle()] || []).map(normalize);
+        return knownMessages.includes(normalize(issue.rawMessage || messageToString(issue.message)));
+    };
+
+    // URL of the script, resource or request an issue comes from (for the rule "source" field)
+    const getIssueSourceUrl = (issue) =>
+        issue.sourceUrl || issue.network?.url || parseStack(issue.stack)[0]?.url || '';
+
+    // Finds the first whitelist entry that suppresses an issue, counting the hit
+    const findWhitelistEntry = (whitelist, issue, message, expiredRulePolicy) => {
+        const context = { message, spec: Cypress.spec.relative, sourceUrl: getIssueSourceUrl(issue) };
+        return whitelist.find((entry) => {
+            const rule = toRule(entry);
+            if (!matchesRule(rule, issue, context)) return false;
+            // Expired rules stop suppressing issues under the 'fail' policy
+            if (expiredRulePolicy === 'fail' && isExpired(rule)) return false;
+            const hits = whitelistHits.get(entry) || 0;
+            if (rule.maxOccurrences !== undefined && hits >= rule.maxOccurrences) {
+                debugLog(`Whitelist rule reached maxOccurrences (${rule.maxOccurrences}): ${describeRule(entry)}`);
+                return false;
+            }
+            whitelistHits.set(entry, hits + 1);
+            const description = describeRule(entry);
+            pendingRuleHits[description] = (pendingRuleHits[description] || 0) + 1;
+            return true;
+        });
+    };
+
+    // Fetches the shared whitelist file once; skipped when no whitelistFile is configured
+    const loadSharedWhitelist = () => {
+        if (sharedWhitelist || !config.whitelistFile) {
+            return cy.wrap(null, { log: false });
+        }
+        return cy.task('getSharedWhitelist', null, { log: false }).then((entries) => {
+            sharedWhitelist = parseConfigPatterns({ whitelist: entries || [] }).whitelist;
+            debugLog('Shared whitelist loaded:', sharedWhitelist);
+        });
+    };
+
+    // Sends the whitelist hits of the current test and the issues they suppressed ([{ issue, rule }]) to the server
+    // `meta` ({ testTitle, attempt }) overrides the current test, for hits reported after it ended
+    const reportRuleHits = (whitelistedIssues = [], meta = {}) => {
+        const hits = pendingRuleHits;
+        pendingRuleHits = {};
+        if (Object.keys(hits).length === 0 && whitelistedIssues.length === 0) {
+            return cy.wrap(null, { log: false });
+        }
+        return cy.task('recordWhitelistHits', {
+            hits,
+            // One entry per rule and fingerprint with an occurrence count, not every occurrence with its stack
+            issues: addWhitelisted([], whitelistedIssues.map(({ issue, rule }) => ({
+                type: issue.type,
+                message: issue.rawMessage || messageToString(issue.message),
+                ...getFingerprint(issue),
+                timestamp: issue.timestamp,
+                rule,
+                ...(issue.stack ? { stack: issue.stack } : {}),
+                ...(issue.frame ? { frame: issue.frame } : {}),
+            }))),
+            testPath: Cypress.spec.relative,
+            testTitle: meta.testTitle ?? getTestTitle(),
+            attempt: meta.attempt ?? Cypress.currentRetry ?? 0,
+        }, { log: false });
+    };
+
+    // Describes the rule suppressing an issue (cy.consoleSpy.allow, whitelist or networkWhitelist), or null.
+    // Whitelist hits are counted, so call it once per issue when the issue is checked.
+    const matchWhitelist = (issue, mergedConfig) => {
+        // Issues inside cy.consoleSpy.allow blocks are suppressed like whitelisted ones
+        if (issue.allowedBy) return issue.allowedBy;
+        // Use rawMessage if available (better for whitelist matching), otherwise convert
+        const message = issue.rawMessage || messageToString(issue.message);
+        debugLog(`Checking message against whitelist: "${message}"`);
+        const whitelistEntry = findWhitelistEntry(
+            mergedConfig.whitelist,
+            issue,
+            message,
+            mergedConfig.expiredRulePolicy
+        );
+        if (whitelistEntry !== undefined) {
+            debugLog(`Message matched whitelist rule: ${describeRule(whitelistEntry)}`);
+            return describeRule(whitelistEntry);
+        }
+        // Network issues can also be whitelisted by URL
+        const urlPattern = issue.type === 'network'
+            ? mergedConfig.networkWhitelist.find((pattern) => matchesText(issue.network.url, pattern))
+            : undefined;
+        if (urlPattern !== undefined) {
+            debugLog(`Request URL matched network whitelist pattern: ${urlPattern}`);
+            return `networkWhitelist: ${urlPattern}`;
+        }
+        return null;
+    };
+
+    // Logs expired whitelist rules once per spec and reports them to the terminal
+    const reportExpiredRules = (expiredEntries, expiredRulePolicy) => {
+        const newlyExpired = expiredEntries.filter((entry) => !reportedExpiredRules.has(entry));
+        if (newlyExpired.length === 0) {
+            return cy.wrap(null, { log: false });
+        }
+        newlyExpired.forEach((entry) => reportedExpiredRules.add(entry));
+        const descriptions = newlyExpired.map(describeRule);
+        Cypress.log({
+            name: 'Whitelist Expired',
+            message: descriptions.join('\n'),
+            consoleProps: () => ({ 'Expired Rules': descriptions, Policy: expiredRulePolicy }),
+        });
+        return cy.task('reportExpiredWhitelistRules', {
+            rules: descriptions,
+            spec: Cypress.spec.relative,
+            policy: expiredRulePolicy,
+        }, { log: false });
+    };
+
+    // Describes an expectation and how often it matched, for failure messages
+    const formatExpectation = ({ pattern, times, count }) => {
+        const expected = times === undefined ? 'at least once' : `${times} time(s)`;
+        const shownPattern = typeof pattern === 'string' ? `"${pattern}"` : String(pattern);
+        return `console error matching ${shownPattern} expected ${expected}, but occurred ${count} time(s)`;
+    };
+
+    // Matches errors against the expectations of the current test
+    const applyExpectations = (errors) => {
+        const expectedIssues = new Set();
+        const results = expectations.map((expectation) => {
+            const matching = errors.filter((issue) =>
+                matchesText(issue.rawMessage || messageToString(issue.message), expectation.pattern)
+            );
+            matching.forEach((issue) => expectedIssues.add(issue));
+            return { ...expectation, count: matching.length };
+        });
+        debugLog('Expectation results:', results);
+        return {
+            unexpectedErrors: errors.filter((issue) => !expectedIssues.has(issue)),
+            unmetExpectations: results.filter(({ times, count }) =>
+                times === undefined ? count === 0 : count !== times
+            ),
+        };
+    };
+
+    // Fingerprints of the failing issues per attempt, by spec and test: Map<key, Set<string>[]>
+    const attemptFingerprints = new Map();
+    // Attempts whose console check ran, by spec and test: Map<key, number[]>
+    const checkedAttempts = new Map();
+
+    // Records the failing issues of the current attempt. With retryPolicy 'consistent', retries only
+    // fail on fingerprints that occurred in every previous attempt; the others are logged as flaky.
+    const getAttemptKey = () => `${Cypress.spec.relative}\u0000${getTestTitle()}`;
+
+    // Checks whether an issue occurred in every previous attempt of the current test.
+    // Attempts that failed before the console check (e.g. on an assertion) are not compared.
+    const isInPreviousAttempts = (issue) => {
+        const attempt = Cypress.currentRetry ?? 0;
+        const previous = (attemptFingerprints.get(getAttemptKey()) || []).slice(0, attempt).filter(Boolean);
+        return previous.every((fingerprints) => fingerprints.has(getFingerprint(issue).fingerprint));
+    };
+
+    const applyRetryPolicy = (issues, retryPolicy) => {
+        const attempt = Cypress.currentRetry ?? 0;
+        const attempts = attemptFingerprints.get(getAttemptKey()) || [];
+        attempts[attempt] = new Set(issues.map((issue) => getFingerprint(issue).fingerprint));
+        attemptFingerprints.set(getAttemptKey(), attempts);
+        if (retryPolicy !== 'consistent' || attempt === 0) {
+            return issues;
+        }
+        const consistent = issues.filter(isInPreviousAttempts);
+        const flaky = issues.filter((issue) => !consistent.includes(issue));
+        if (flaky.length > 0) {
+            const messages = flaky.map((issue) => issue.rawMessage || messageToString(issue.message));
+            debugLog('Flaky issues (not in every attempt):', messages);
+            Cypress.log({
+                name: 'Flaky Console Errors',
+                message: `${flaky.length} issue(s) not seen in every attempt, not failing attempt ${attempt + 1}`,
+                consoleProps: () => ({ Attempt: attempt + 1, 'Flaky Issues': messages }),
+            });
+        }
+        return consistent;
+    };
+
     // Checks console for errors and warnings, failing the test if needed
     const checkConsoleErrors = (describeConfigForTest = {}) => {
         const mergedConfig = getMergedConfig(currentTestConfig, describeConfigForTest);
@@ -234,70 +868,326 @@ module.exports = (Cypress, customConfig = {}) => {
         debugLog('Whitelist patterns:', mergedConfig.whitelist);
         debugLog('All collected issues:', allIssues);
 
-        // Filter errors and warnings
-        const errors = allIssues.filter((issue) => issue.type === 'error');
-        const warnings = allIssues.filter((issue) => issue.type === 'warn');
+        const policies = getMethodPolicies(mergedConfig);
+        const policyOf = (issue) => policies[issue.type] ?? 'fail';
 
-        // Filter out whitelisted messages
-        const filteredIssues = [...errors, ...(mergedConfig.throwOnWarning ? warnings : [])].filter(
-            (issue) => {
-                // Use rawMessage if available (better for whitelist matching), otherwise convert
-                const message = issue.rawMessage || messageToString(issue.message);
-                debugLog(`Checking message against whitelist: "${message}"`);
-                
-                const isWhitelisted = mergedConfig.whitelist.some((pattern) => {
-                    const matches = typeof pattern === 'string' 
-                        ? message.includes(pattern) 
-                        : pattern.test(message);
-                    if (matches) {
-                        debugLog(`Message matched whitelist pattern: ${pattern}`);
-                    }
-                    return matches;
-                });
-                
-                return !isWhitelisted;
-            }
-        );
+        // Split errors (including tracked window events) from other console output
+        const errors = allIssues.filter((issue) => ERROR_ISSUE_TYPES.includes(issue.type));
+        const otherIssues = allIssues.filter((issue) => !ERROR_ISSUE_TYPES.includes(issue.type));
+
+        // Expected errors are consumed by their expectation and never fail the test
+        const { unexpectedErrors, unmetExpectations } = applyExpectations(errors);
+
+        // Drop ignored methods, then filter out whitelisted messages (kept with their rule for the reports)
+        const whitelistedIssues = [];
+        const filteredIssues = [...unexpectedErrors, ...otherIssues]
+            .filter((issue) => policyOf(issue) !== 'ignore')
+            .filter((issue) => {
+                const rule = matchWhitelist(issue, mergedConfig);
+                if (rule === null) return true;
+                whitelistedIssues.push({ issue, rule });
+                return false;
+            });
         debugLog('Filtered issues (after whitelist):', filteredIssues);
 
-        // Process logging tasks
-        return processIssues(filteredIssues).then(() => {
-            debugLog(`Evaluating failure: filteredIssues.length=${filteredIssues.length}, failOnSpy=${mergedConfig.failOnSpy}`);
-            if (filteredIssues.length > 0 && mergedConfig.failOnSpy) {
-                // Use rawMessage for display if available
-                const formatIssue = (issue) => issue.rawMessage || messageToString(issue.message);
-                
-                const errorMessage =
-                    `Console errors detected (${filteredIssues.length}):\n` +
-                    filteredIssues.map((issue) => `• ${formatIssue(issue)}`).join('\n');
-                const consoleError = new Error(errorMessage);
-                consoleError.name = 'ConsoleErrors';
-
-                Cypress.log({
-                    name: 'Console Errors',
-                    message: errorMessage,
-                    consoleProps: () => ({
-                        'Detected Errors': filteredIssues.map((issue) => formatIssue(issue)),
-                        'Whitelist': mergedConfig.whitelist,
-                        Recommendations: 'Check the browser console output or add to whitelist',
-                    }),
-                });
+        // Expired rules are reported once per spec; under the 'fail' policy they fail every test using them
+        const expiredEntries = mergedConfig.whitelist.filter((entry) => isExpired(toRule(entry)));
+        const expiredFailures = mergedConfig.expiredRulePolicy === 'fail' ? expiredEntries : [];
+
+        // Only ask the server for the baseline when there is something to compare
+        return reportRuleHits(whitelistedIssues).then(() =>
+            reportExpiredRules(expiredEntries, mergedConfig.expiredRulePolicy)
+        ).then(() =>
+            filteredIssues.length > 0 ? getBaseline() : null
+        ).then((baseline) => {
+            // Issues already recorded in the baseline are logged but never fail the test
+            const newIssues = filteredIssues.filter((issue) => !isInBaseline(issue, baseline));
+            debugLog('New issues (not in baseline):', newIssues);
+
+            // Only methods with the 'fail' policy fail the test, 'record' issues are just logged
+            const failingCandidates = newIssues.filter((issue) => policyOf(issue) === 'fail');
+            const failingIssues = applyRetryPolicy(failingCandidates, mergedConfig.retryPolicy);
 
-                throw consoleError;
+            // Budgets allow a number of new issues per test; without one any failing issue fails the test
+            const newErrors = failingIssues.filter((issue) => isErrorType(issue.type));
+            const newWarnings = failingIssues.filter((issue) => !isErrorType(issue.type));
+            const errorLimit = mergedConfig.maxErrors ?? 0;
+            const warningLimit = mergedConfig.maxWarnings ?? 0;
+            const overBudget = [];
+            if (newErrors.length > errorLimit && mergedConfig.maxErrors !== undefined) {
+                overBudget.push(`${newErrors.length} error(s), maxErrors: ${errorLimit}`);
             }
-            debugLog('No failure thrown due to failOnSpy=false or no issues');
+            if (newWarnings.length > warningLimit && mergedConfig.maxWarnings !== undefined) {
+                overBudget.push(`${newWarnings.length} warning(s), maxWarnings: ${warningLimit}`);
+            }
+            const failOnIssues =
+                (newErrors.length > errorLimit || newWarnings.length > warningLimit) && mergedConfig.failOnSpy;
+            // Unmet expectations are explicit assertions and fail regardless of failOnSpy
+            const shouldFail = failOnIssues || unmetExpectations.length > 0 || expiredFailures.length > 0;
+
+            // Resolve stacks, then process logging tasks
+            return resolveStacks(filteredIssues).then(() => processIssues(filteredIssues, shouldFail)).then(() => {
+                debugLog(`Evaluating failure: newIssues.length=${newIssues.length}, unmetExpectations.length=${unmetExpectations.length}, failOnSpy=${mergedConfig.failOnSpy}`);
+                if (shouldFail) {
+                    // Use rawMessage for display if available
+                    const formatIssue = (issue) =>
+                        (issue.rawMessage || messageToString(issue.message)) +
+                        (issue.source ? ` (at ${issue.source})` : '') +
+                        (issue.frame ? ` [frame: ${issue.frame}]` : '');
+                    const knownCount =
+                        filteredIssues.filter((issue) => policyOf(issue) === 'fail').length - failingCandidates.length;
+                    const sections = [];
+                    if (failOnIssues) {
+                        sections.push(
+                            `Console errors detected (${failingIssues.length})` +
+                            (overBudget.length > 0 ? `, over budget (${overBudget.join('; ')})` : '') +
+                            ':\n' +
+                            failingIssues.map((issue) => `• ${formatIssue(issue)}`).join('\n') +
+                            (knownCount > 0 ? `\n(${knownCount} more already in the baseline)` : '')
+                        );
+                    }
+                    if (expiredFailures.length > 0) {
+                        sections.push(
+                            `Expired whitelist rules (${expiredFailures.length}):\n` +
+                            expiredFailures.map((entry) => `• ${describeRule(entry)}`).join('\n') +
+                            '\nRemove the rules or extend their "expires" date'
+                        );
+                    }
+                    if (unmetExpectations.length > 0) {
+                        sections.push(
+                            `Expected console errors not met (${unmetExpectations.length}):\n` +
+                            unmetExpectations.map((expectation) => `• ${formatExpectation(expectation)}`).join('\n')
+                        );
+                    }
+                
+                    const errorMessage = sections.join('\n\n');
+                    const consoleError = new Error(errorMessage);
+                    consoleError.name = 'ConsoleErrors';
+
+                    Cypress.log({
+                        name: 'Console Errors',
+                        message: errorMessage,
+                        consoleProps: () => ({
+                            'Detected Errors': failingIssues.map((issue) => formatIssue(issue)),
+                            'Known (baseline)': filteredIssues
+                                .filter((issue) => !newIssues.includes(issue))
+                                .map((issue) => formatIssue(issue)),
+                            'Unmet Expectations': unmetExpectations.map(formatExpectation),
+                            'Whitelist': mergedConfig.whitelist,
+                            Recommendations: 'Check the browser console output or add to whitelist',
+                        }),
+                    });
+
+                    throw consoleError;
+                }
+                debugLog('No failure thrown due to failOnSpy=false or no issues');
+            });
+        });
+    };
+
+    // Test or hook currently checked by failFast ({ testConfig, describeConfig, body, lastCommand }),
+    // null when disarmed
+    let failFastTarget = null;
+    // Issues of a test stopped by failFast, reported from the root afterEach hook
+    let failFastReport = null;
+
+    // Describes a command for failure messages, e.g. cy.click('#submit')
+    const describeCommand = (command) => {
+        const name = command?.get?.('name') || 'unknown command';
+        const args = (command?.get?.('args') || []).map((arg) => {
+            if (typeof arg === 'function') return 'fn';
+            const text = typeof arg === 'string' ? `'${arg}'` : messageToString(arg);
+            return text.length > 50 ? `${text.slice(0, 47)}...` : text;
+        });
+        return `cy.${name}(${args.join(', ')})`;
+    };
+
+    // Describes the whitelist rule matching an issue, or null. Does not count hits;
+    // maxOccurrences is enforced by the end-of-test check.
+    const findWhitelistRule = (issue, mergedConfig) => {
+        if (issue.allowedBy) return issue.allowedBy;
+        const message = issue.rawMessage || messageToString(issue.message);
+        const context = { message, spec: Cypress.spec.relative, sourceUrl: getIssueSourceUrl(issue) };
+        const entry = mergedConfig.whitelist.find((candidate) => {
+            const rule = toRule(candidate);
+            return matchesRule(rule, issue, context) && !(mergedConfig.expiredRulePolicy === 'fail' && isExpired(rule));
         });
+        if (entry !== undefined) return describeRule(entry);
+        const networkPattern = issue.type === 'network'
+            ? mergedConfig.networkWhitelist.find((pattern) => matchesText(issue.network.url, pattern))
+            : undefined;
+        return networkPattern !== undefined ? `networkWhitelist: ${networkPattern}` : null;
     };
 
-    // Cleans up spies and clears consoleSpies
+    const isWhitelistedIssue = (issue, mergedConfig) => findWhitelistRule(issue, mergedConfig) !== null;
+
+    // Errors matching an expectation of the current test (cy.expectConsoleError)
+    const isExpectedError = (issue) => {
+        const message = issue.rawMessage || messageToString(issue.message);
+        return ERROR_ISSUE_TYPES.includes(issue.type) &&
+            expectations.some((expectation) => matchesText(message, expectation.pattern));
+    };
+
+    // Issues collected so far that would fail the test at the end-of-test check
+    const findFailFastIssues = (mergedConfig) => {
+        if (!mergedConfig.failOnSpy) return [];
+        const policies = getMethodPolicies(mergedConfig);
+        const baseline = baselineCache?.spec === Cypress.spec.relative ? baselineCache.baseline : null;
+        const failing = allIssues.filter((issue) => {
+            return (policies[issue.type] ?? 'fail') === 'fail' &&
+                !isExpectedError(issue) &&
+                !isWhitelistedIssue(issue, mergedConfig) &&
+                !isInBaseline(issue, baseline) &&
+                (mergedConfig.retryPolicy !== 'consistent' || isInPreviousAttempts(issue));
+        });
+        const errorCount = failing.filter((issue) => isErrorType(issue.type)).length;
+        const warningCount = failing.length - errorCount;
+        return errorCount > (mergedConfig.maxErrors ?? 0) || warningCount > (mergedConfig.maxWarnings ?? 0)
+            ? failing
+            : [];
+    };
+
+    // Guards against logging issues raised while an issue is being logged
+    let loggingIssue = false;
+    // Console methods wrapped for live logging, per console object
+    const liveLoggedMethods = new WeakMap();
+
+    // Adds a captured issue to the command log with a snapshot, unless its policy is 'ignore'
+    const logIssueLive = (issue) => {
+        if (!monitoredTarget || loggingIssue || recordingPaused) return;
+        loggingIssue = true;
+        try {
+            const mergedConfig = getMergedConfig(monitoredTarget.testConfig, monitoredTarget.describeConfig);
+            const policy = getMethodPolicies(mergedConfig)[issue.type] ?? 'fail';
+            if (!mergedConfig.commandLog || policy === 'ignore') return;
+            logIssue(Cypress, issue, { whitelistedBy: findWhitelistRule(issue, mergedConfig), policy });
+            // Entry colors live in the runner document, outside the spec iframe
+            injectStyles(typeof top !== 'undefined' ? top.document : null);
+        } catch (e) {
+            debugLog('Failed to log console issue:', e.message);
+        } finally {
+            loggingIssue = false;
+        }
+    };
+
+    // Wraps a console method of a window (once) so that each call is logged when it happens
+    const wrapConsoleMethod = (win, method, frame = null) => {
+        const wrapped = liveLoggedMethods.get(win.console) || new Set();
+        liveLoggedMethods.set(win.console, wrapped);
+        if (wrapped.has(method)) return;
+        wrapped.add(method);
+        const original = win.console[method];
+        win.console[method] = function (...args) {
+            const result = original.apply(this, args);
+            const callArgs = monitoredTarget ? getCallArgs(method, args) : null;
+            if (callArgs) {
+                logIssueLive(tagAllowance(buildConsoleIssue(method, callArgs, new Error().stack, frame)));
+            }
+            return result;
+        };
+    };
+
+    // Runs after every command while failFast is armed and fails the test at the first failing issue
+    const checkFailFast = (command) => {
+        if (!failFastTarget) return;
+        // The cy.then running the test body ends right after the body's last command; issues that surface
+        // then were raised by that command, so they are attributed to it
+        const isBodyEnd = (command?.get?.('args') || []).includes(failFastTarget.body);
+        if (!isBodyEnd) failFastTarget.lastCommand = command;
+        collectAllSpyCalls();
+        const mergedConfig = getMergedConfig(failFastTarget.testConfig, failFastTarget.describeConfig);
+        const offending = findFailFastIssues(mergedConfig);
+        if (offending.length === 0) return;
+
+        const culprit = isBodyEnd ? failFastTarget.lastCommand : command;
+        failFastTarget = null;
+        const commandText = culprit ? describeCommand(culprit) : 'the test body';
+        // The end-of-test check does not run for this test, so count the hits of the whitelist rules
+        // that suppressed its other issues here
+        const policies = getMethodPolicies(mergedConfig);
+        const whitelisted = allIssues
+            .filter((issue) =>
+                !offending.includes(issue) && (policies[issue.type] ?? 'fail') !== 'ignore' && !isExpectedError(issue)
+            )
+            .map((issue) => ({ issue, rule: matchWhitelist(issue, mergedConfig) }))
+            .filter(({ rule }) => rule !== null);
+        failFastReport = {
+            issues: offending,
+            whitelisted,
+            testTitle: getTestTitle(),
+            attempt: Cypress.currentRetry ?? 0,
+        };
+        const error = new Error(
+            `Console errors detected during ${commandText} (${offending.length}):\n` +
+            offending.map((issue) => `• ${issue.rawMessage || messageToString(issue.message)}`).join('\n')
+        );
+        error.name = 'ConsoleErrors';
+        throw error;
+    };
+
+    // Logs the issues of a test stopped by failFast, whose own end-of-test check never ran
+    const flushFailFastReport = () => {
+        if (!failFastReport) return undefined;
+        const { issues, whitelisted, testTitle, attempt } = failFastReport;
+        failFastReport = null;
+        return reportRuleHits(whitelisted, { testTitle, attempt })
+            .then(() => resolveStacks(issues))
+            .then(() => processIssues(issues, true, { testTitle, attempt }));
+    };
+
+    // Cleans up spies and clears consoleSpies and frameSpies
     const cleanupSpies = () => {
-        Object.values(consoleSpies).forEach((spy) => {
+        [...Object.values(consoleSpies), ...frameSpies.map((entry) => entry.spy)].forEach((spy) => {
             if (spy?.restore) {
                 spy.restore();
                 debugLog('Spy restored after test');
             }
         });
         Object.keys(consoleSpies).forEach((key) => delete consoleSpies[key]);
+        frameSpies.length = 0;
+    };
+
+    // Runs a test or hook body with console spies and checks the collected issues afterwards
+    const runMonitored = (context, fn, testConfig, describeConfigForTest, hookTitle = null) => {
+        currentTestConfig = testConfig;
+        currentHookTitle = hookTitle;
+        cleanupSpies();
+        allIssues.length = 0; // Reset issues at test start
+        expectations.length = 0;
+        allowances.length = 0;
+        recordingPaused = false;
+
+        const failFast = getMergedConfig(testConfig, describeConfigForTest).failFast;
+        failFastTarget = null;
+        monitoredTarget = null;
+
+        // Sets the spies up and runs the body; checkFailFast recognizes the end of the body by this callback
+        const runBody = (win) => {
+            monitoredTarget = { testConfig, describeConfig: describeConfigForTest };
+            setupConsoleSpy(win);
+            if (failFast) {
+                failFastTarget = {
+                    testConfig,
+                    describeConfig: describeConfigForTest,
+                    body: runBody,
+                    lastCommand: null,
+                };
+            }
+            return fn.call(context);
+        };
+
+        return loadSharedWhitelist().then(() =>
+            // failFast compares with the baseline synchronously, so fetch it up front
+            failFast ? getBaseline() : null
+        ).then(() => cy.window()).then(runBody).then(() => {
+            failFastTarget = null;
+            monitoredTarget = null;
+            // Collect spy calls before checking errors
+            collectAllSpyCalls();
+            return checkConsoleErrors(describeConfigForTest);
+        }).then(() => {
+            cleanupSpies();
+        });
     };
 
     // Wraps a test function to include console spying and error checking
@@ -305,20 +1195,7 @@ module.exports = (Cypress, customConfig = {}) => {
         return function () {
             debugLog('Wrapping test with config:', testConfig);
             debugLog('Describe config for this test:', describeConfigForTest);
-            currentTestConfig = testConfig;
-            cleanupSpies();
-            allIssues.length = 0; // Reset issues at test start
-
-            return cy.window().then((win) => {
-                setupConsoleSpy(win);
-                return testFn.call(this);
-            }).then(() => {
-                // Collect spy calls before checking errors
-                config.methodsToTrack.forEach((method) => collectSpyCalls(method, consoleSpies[method]));
-                return checkConsoleErrors(describeConfigForTest);
-            }).then(() => {
-                cleanupSpies();
-            });
+            return runMonitored(this, testFn, testConfig, describeConfigForTest);
         };
     };
 
@@ -326,36 +1203,82 @@ module.exports = (Cypress, customConfig = {}) => {
     // Use a stack to handle nested describes - stack persists during describe execution
     let currentDescribeConfig = {};
     const describeConfigStack = [];
+    // Suite titles of the describes being registered, used to attribute hook issues
+    const describeTitleStack = [];
 
-    // Override global `describe` to track config stack
-    const originalDescribe = global.describe;
-    global.describe = function (name, configOrFn, fn) {
-        const isConfigObject = typeof configOrFn === 'object' && configOrFn !== null;
-        const describeFn = isConfigObject ? fn : configOrFn;
-        const describeConfigObj = isConfigObject ? configOrFn : {};
-
-        debugLog(`Overriding describe "${name}" with config:`, describeConfigObj);
-
-        // Push config to stack when describe starts executing
-        describeConfigStack.push(describeConfigObj);
-        currentDescribeConfig = describeConfigObj;
-
-        const wrappedDescribeFn = function () {
-            // Execute the describe function - all it blocks are registered synchronously here
-            const result = describeFn.call(this);
-            // Pop config from stack after describe body completes
-            describeConfigStack.pop();
-            // Restore previous config from stack (or empty if stack is empty)
-            currentDescribeConfig = describeConfigStack.length > 0 
-                ? describeConfigStack[describeConfigStack.length - 1] 
-                : {};
-            return result;
+    // Override global `describe`, `describe.only` and `describe.skip` to track config stack
+    const overrideDescribe = (originalFn) => {
+        return function (name, configOrFn, fn) {
+            const isConfigObject = typeof configOrFn === 'object' && configOrFn !== null;
+            const describeFn = isConfigObject ? fn : configOrFn;
+            const describeConfigObj = isConfigObject ? configOrFn : {};
+
+            debugLog(`Overriding describe "${name}" with config:`, describeConfigObj);
+
+            const wrappedDescribeFn = function () {
+                // Push config to stack when describe starts executing
+                describeConfigStack.push(describeConfigObj);
+                describeTitleStack.push(name);
+                currentDescribeConfig = describeConfigObj;
+                try {
+                    // Execute the describe function - all it blocks are registered synchronously here
+                    return describeFn.call(this);
+                } finally {
+                    // Pop config from stack after describe body completes
+                    describeConfigStack.pop();
+                    describeTitleStack.pop();
+                    // Restore previous config from stack (or empty if stack is empty)
+                    currentDescribeConfig = describeConfigStack.length > 0
+                        ? describeConfigStack[describeConfigStack.length - 1]
+                        : {};
+                }
+            };
+
+            return originalFn.call(this, name, typeof describeFn === 'function' ? wrappedDescribeFn : describeFn);
         };
+    };
+    const originalDescribe = global.describe;
+    global.describe = overrideDescribe(originalDescribe);
+    global.describe.only = overrideDescribe(originalDescribe.only);
+    global.describe.skip = overrideDescribe(originalDescribe.skip);
+
+    // Root hook reporting the issues of tests stopped by failFast (registered before hooks are wrapped)
+    if (typeof global.afterEach === 'function') {
+        global.afterEach(() => flushFailFastReport());
+    }
 
-        return originalDescribe.call(this, name, wrappedDescribeFn);
+    // Override global hooks so console output of before/beforeEach/afterEach/after is checked too.
+    // Issues are attributed to the hook and its suite, e.g. 'Suite > "beforeEach" hook'.
+    const overrideHook = (hookName, originalHook) => {
+        return function (titleOrFn, fn) {
+            const hookFn = typeof titleOrFn === 'function' ? titleOrFn : fn;
+            const hookTitle = typeof titleOrFn === 'string' ? titleOrFn : '';
+            // Hooks using a done callback are left alone, like unwrapped tests
+            if (typeof hookFn !== 'function' || hookFn.length > 0) {
+                return originalHook.apply(this, arguments);
+            }
+            const describeConfigForHook = currentDescribeConfig || {};
+            const title = [...describeTitleStack, `"${hookName}" hook${hookTitle ? `: ${hookTitle}` : ''}`].join(' > ');
+
+            const wrappedHookFn = function () {
+                if (getMergedConfig({}, describeConfigForHook).monitorHooks === false) {
+                    return hookFn.call(this);
+                }
+                debugLog(`Monitoring hook: ${title}`);
+                return runMonitored(this, hookFn, {}, describeConfigForHook, title);
+            };
+            return hookTitle ? originalHook.call(this, hookTitle, wrappedHookFn) : originalHook.call(this, wrappedHookFn);
+        };
     };
-    global.describe.only = originalDescribe.only;
-    global.describe.skip = originalDescribe.skip;
+    // Hooks are only wrapped when enabled in the support file config, so their errors do not start failing
+    // suites that were checked without them
+    if (config.monitorHooks) {
+        ['before', 'beforeEach', 'afterEach', 'after'].forEach((hookName) => {
+            if (typeof global[hookName] === 'function') {
+                global[hookName] = overrideHook(hookName, global[hookName]);
+            }
+        });
+    }
 
     // Override global `it` and `it.only`
     const overrideIt = (originalIt, isOnly = false) => {
@@ -394,9 +1317,165 @@ module.exports = (Cypress, customConfig = {}) => {
             : originalIt.skip.call(this, description, testFn);
     };
 
+    // Converts a collected issue to the shape yielded by cy.getConsoleIssues
+    const toPublicIssue = (issue) => ({
+        type: issue.type,
+        message: issue.rawMessage || messageToString(issue.message),
+        args: issue.message,
+        fingerprint: getFingerprint(issue).fingerprint,
+        timestamp: issue.timestamp,
+        stack: issue.stack,
+        ...(issue.network ? { network: issue.network } : {}),
+        ...(issue.frame ? { frame: issue.frame } : {}),
+        ...(issue.framework ? { framework: issue.framework } : {}),
+    });
+
+    // Custom commands for asserting expected console output inside a test
+    Cypress.Commands.add('expectConsoleError', (pattern, options = {}) => {
+        expectations.push({ pattern: parsePattern(pattern), times: options.times });
+        Cypress.log({
+            name: 'expectConsoleError',
+            message: `${pattern}${options.times === undefined ? '' : ` × ${options.times}`}`,
+        });
+    });
+
+    Cypress.Commands.add('getConsoleIssues', () => {
+        collectAllSpyCalls();
+        const issues = allIssues.map(toPublicIssue);
+        Cypress.log({
+            name: 'getConsoleIssues',
+            message: `${issues.length} issue(s)`,
+            consoleProps: () => ({ Yielded: issues }),
+        });
+        return cy.wrap(issues, { log: false });
+    });
+
+    Cypress.Commands.add('clearConsoleIssues', () => {
+        collectAllSpyCalls();
+        const cleared = allIssues.length;
+        allIssues.length = 0;
+        Cypress.log({ name: 'clearConsoleIssues', message: `${cleared} issue(s) cleared` });
+    });
+
+    // cy.consoleSpy: suppress or stop recording issues for a part of a test. Collecting spy calls before
+    // each switch attributes calls made so far to the state they were made in.
+    if (typeof cy !== 'undefined') {
+        cy.consoleSpy = {
+            allow(pattern, fn) {
+                if (typeof fn !== 'function') {
+                    throw new Error('[cypress-console-spy] cy.consoleSpy.allow(pattern, fn) requires a callback');
+                }
+                const allowance = { pattern: parsePattern(pattern), description: `cy.consoleSpy.allow: ${pattern}` };
+                return cy.wrap(null, { log: false }).then(() => {
+                    collectAllSpyCalls();
+                    allowances.push(allowance);
+                    Cypress.log({ name: 'consoleSpy.allow', message: String(pattern) });
+                    // Commands queued by the callback run before the next .then
+                    fn();
+                }).then(() => {
+                    collectAllSpyCalls();
+                    const index = allowances.indexOf(allowance);
+                    if (index !== -1) allowances.splice(index, 1);
+                });
+            },
+            pause() {
+                return cy.wrap(null, { log: false }).then(() => {
+                    collectAllSpyCalls();
+                    recordingPaused = true;
+                    Cypress.log({ name: 'consoleSpy.pause', message: 'console issues are not recorded' });
+                });
+            },
+            resume() {
+                return cy.wrap(null, { log: false }).then(() => {
+                    // Calls made while paused are dropped
+                    collectAllSpyCalls();
+                    recordingPaused = false;
+                    Cypress.log({ name: 'consoleSpy.resume', message: 'console issues are recorded again' });
+                });
+            },
+        };
+    }
+
+    // Cypress.consoleSpy: change the config for the rest of the spec, between the global and describe levels
+    Cypress.consoleSpy = {
+        configure(options) {
+            const { errors, warnings } = validateConfig(options, 'Cypress.consoleSpy.configure');
+            warnings.forEach((warning) => console.warn('[cypress-console-spy]', warning));
+            if (errors.length > 0) {
+                throw createConfigError(errors);
+            }
+            const setupOnly = Object.keys(options || {}).filter((key) => SETUP_ONLY_KEYS.includes(key));
+            if (setupOnly.length > 0) {
+                console.warn(
+                    '[cypress-console-spy]',
+                    `Cypress.consoleSpy.configure ignores ${setupOnly.join(', ')}; set them in the support file config`
+                );
+            }
+            const parsed = parseConfigPatterns(options || {});
+            // Whitelists and policies add up over several calls, like the describe and it levels
+            runtimeConfig = {
+                ...runtimeConfig,
+                ...parsed,
+                whitelist: [...(runtimeConfig.whitelist || []), ...(parsed.whitelist || [])],
+                networkWhitelist: [...(runtimeConfig.networkWhitelist || []), ...(parsed.networkWhitelist || [])],
+                methodPolicies: { ...runtimeConfig.methodPolicies, ...parsed.methodPolicies },
+            };
+            debugLog('Runtime config:', runtimeConfig);
+        },
+        reset() {
+            runtimeConfig = {};
+        },
+        // Config of the running test or hook, or the spec-level config between tests
+        getConfig() {
+            return monitoredTarget
+                ? getMergedConfig(monitoredTarget.testConfig, monitoredTarget.describeConfig)
+                : getMergedConfig({}, {});
+        },
+    };
+
+    // Check for failing issues after each command in failFast mode
+    Cypress.on('command:end', checkFailFast);
+
+    // Component tests mount into a reused window without window:load, so spy again right before each mount
+    if (isComponentTesting) {
+        try {
+            Cypress.Commands.overwrite('mount', (originalFn, ...args) =>
+                cy.window({ log: false }).then((win) => {
+                    debugLog('cy.mount called, setting up console spies');
+                    setupConsoleSpy(win);
+                    return originalFn(...args);
+                })
+            );
+        } catch (e) {
+            console.warn(
+                '[cypress-console-spy] cy.mount is not registered yet. Add the mount command before calling client() ' +
+                'in the component support file so console spies are set up around it.'
+            );
+        }
+    }
+
+    // Failed loads of the initial HTML's resources, CSP violations during parsing and the requests the
+    // application starts while booting happen before window:load, so attach as soon as the window exists
+    Cypress.on('window:before:load', (win) => {
+        debugLog('window:before:load event triggered, attaching error handlers');
+        attachWindowHandlers(win);
+    });
+
     // Set up spies on window load
     Cypress.on('window:load', (win) => {
         debugLog('window:load event triggered, setting up console spies');
         setupConsoleSpy(win);
     });
+
+    // cy.origin windows post their console calls and uncaught errors to the runner window (see origin.js)
+    if (typeof top !== 'undefined' && typeof window !== 'undefined') {
+        const onOriginMessage = (event) => {
+            if (monitoredTarget && event.data?.type === ORIGIN_MESSAGE_TYPE) {
+                recordOriginMessage(event.data);
+            }
+        };
+        top.addEventListener('message', onOriginMessage);
+        // The runner window outlives the spec iframe, so remove the listener together with it
+        window.addEventListener('unload', () => top.removeEventListener('message', onOriginMessage));
+    }
 };
\ No newline at end of file
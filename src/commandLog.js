@@ -0,0 +1,102 @@
+const { parseStack, formatFrame } = require('./stack');
+const { isErrorType } = require('./stats');
+
+// Command log colors per issue type; types without an entry use the info color
+const TYPE_COLORS = {
+    error: '#e94f5f',
+    assert: '#e94f5f',
+    unhandledrejection: '#e94f5f',
+    csp: '#e94f5f',
+    resource: '#e94f5f',
+    network: '#e94f5f',
+    warn: '#e2b93d',
+    framework: '#e2b93d',
+    info: '#4ea5d9',
+};
+const INFO_COLOR = TYPE_COLORS.info;
+const WHITELISTED_COLOR = '#9a9aa9';
+
+// Log entry names, also used by Cypress as the "command-name-*" CSS class
+const getLogName = (type) => `console-${type}`;
+
+const STYLE_ID = 'cypress-console-spy-styles';
+
+/**
+ * Adds the color rules for console issue entries to the Cypress runner document (once)
+ * @param {Document} doc - Runner document (window.top.document)
+ */
+const injectStyles = (doc) => {
+    if (!doc?.head || doc.getElementById(STYLE_ID)) {
+        return;
+    }
+    const types = ['error', 'assert', 'unhandledrejection', 'csp', 'resource', 'network', 'warn', 'framework', 'info',
+        'log', 'debug', 'trace'];
+    const rules = types.map((type) => {
+        const selector = `.command-name-${getLogName(type)}`;
+        const color = TYPE_COLORS[type] || INFO_COLOR;
+        return `${selector} .command-method, ${selector} .command-message { color: ${color}; }\n` +
+            `${selector} .command-wrapper { border-left: 3px solid ${color}; }`;
+    });
+    rules.push(
+        `.command-name-console-whitelisted .command-method, .command-name-console-whitelisted .command-message ` +
+            `{ color: ${WHITELISTED_COLOR}; }`
+    );
+    const style = doc.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = rules.join('\n');
+    doc.head.appendChild(style);
+};
+
+/**
+ * Picks the command log indicator: whitelisted issues are greyed out, errors are red, warnings pending
+ * @param {string} type - Issue type
+ * @param {string|null} whitelistedBy - Matching whitelist rule
+ * @returns {string}
+ */
+const getIndicator = (type, whitelistedBy) => {
+    if (whitelistedBy) return 'aborted';
+    if (isErrorType(type)) return 'bad';
+    return ['warn', 'framework'].includes(type) ? 'pending' : 'successful';
+};
+
+/**
+ * Adds a collapsible command log entry with a DOM snapshot for a captured issue.
+ * The entry groups its stack frames; consoleProps hold the original arguments.
+ * @param {Object} Cypress - Cypress object
+ * @param {Object} issue - { type, message (original arguments), rawMessage, stack, network, frame, framework }
+ * @param {Object} [status] - { whitelistedBy: rule description or null, policy }
+ */
+const logIssue = (Cypress, issue, { whitelistedBy = null, policy } = {}) => {
+    const frames = parseStack(issue.stack);
+    const log = Cypress.log({
+        name: whitelistedBy ? 'console-whitelisted' : getLogName(issue.type),
+        displayName: `console.${issue.type}`,
+        message: issue.rawMessage,
+        groupStart: frames.length > 0,
+        autoEnd: false,
+        renderProps: () => ({ indicator: getIndicator(issue.type, whitelistedBy) }),
+        consoleProps: () => ({
+            Type: issue.type,
+            Arguments: issue.message,
+            Message: issue.rawMessage,
+            Stack: issue.stack || '(not available)',
+            Whitelisted: whitelistedBy ? `yes, by ${whitelistedBy}` : 'no',
+            ...(policy ? { Policy: policy } : {}),
+            ...(issue.network ? { Request: issue.network } : {}),
+            ...(issue.frame ? { Frame: issue.frame } : {}),
+            ...(issue.framework ? { Framework: issue.framework } : {}),
+        }),
+    });
+    log.snapshot().end();
+    if (frames.length > 0) {
+        frames.forEach((frame) => {
+            Cypress.log({ name: 'at', message: formatFrame(frame), consoleProps: () => ({ Frame: frame }) });
+        });
+        log.endGroup();
+    }
+};
+
+module.exports = {
+    injectStyles,
+    logIssue,
+};
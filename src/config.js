@@ -0,0 +1,338 @@
+const SUPPORTED_METHODS = ['error', 'warn', 'log', 'info', 'debug', 'assert', 'trace'];
+const METHOD_POLICIES = ['fail', 'record', 'ignore'];
+// methodPolicies keys: console methods and 'framework' for React/Vue development warnings
+const POLICY_KEYS = [...SUPPORTED_METHODS, 'framework'];
+const SUPPORTED_EVENTS = ['unhandledrejection', 'securitypolicyviolation', 'resource'];
+const SUPPORTED_REPORTS = ['json', 'junit', 'html'];
+const RULE_KEYS = ['pattern', 'type', 'source', 'frame', 'specGlob', 'maxOccurrences', 'expires', 'reason'];
+const BUDGET_KEYS = ['maxErrors', 'maxWarnings'];
+const RETENTION_KEYS = ['runs', 'days'];
+
+// "/source/flags" strings are RegExps written in a JSON-safe way
+const REGEXP_STRING = /^\/(.+)\/([dgimsuy]*)$/;
+
+/**
+ * Converts "/source/flags" strings to RegExps, other values are returned unchanged
+ * @param {*} value - Pattern value
+ * @returns {*} - RegExp for regex strings, otherwise the value itself
+ */
+const parsePattern = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const match = REGEXP_STRING.exec(value);
+    return match ? new RegExp(match[1], match[2]) : value;
+};
+
+/**
+ * Converts RegExps to "/source/flags" strings so patterns survive JSON (e.g. task results)
+ * @param {*} value - Pattern value
+ * @returns {*} - Regex string for RegExps, otherwise the value itself
+ */
+const stringifyPattern = (value) => (value instanceof RegExp ? String(value) : value);
+
+/**
+ * Applies a pattern conversion to every whitelist entry, including rule patterns and sources
+ * @param {Array} whitelist - Whitelist entries
+ * @param {function(*): *} convert - parsePattern or stringifyPattern
+ * @returns {Array} - Converted copy of the whitelist
+ */
+const mapWhitelistPatterns = (whitelist, convert) =>
+    whitelist.map((entry) => {
+        if (entry && typeof entry === 'object' && !(entry instanceof RegExp)) {
+            const rule = { ...entry };
+            if ('pattern' in rule) rule.pattern = convert(rule.pattern);
+            if ('source' in rule) rule.source = convert(rule.source);
+            if ('frame' in rule) rule.frame = convert(rule.frame);
+            return rule;
+        }
+        return convert(entry);
+    });
+
+/**
+ * Parses regex strings in whitelist entries, rule patterns/sources/frames and networkWhitelist
+ * @param {Object} consoleDaemon - consoleDaemon config (any level)
+ * @returns {Object} - Copy of the config with parsed patterns
+ */
+const parseConfigPatterns = (consoleDaemon = {}) => {
+    const parsed = { ...consoleDaemon };
+    if (Array.isArray(consoleDaemon.whitelist)) {
+        parsed.whitelist = mapWhitelistPatterns(consoleDaemon.whitelist, parsePattern);
+    }
+    if (Array.isArray(consoleDaemon.networkWhitelist)) {
+        parsed.networkWhitelist = consoleDaemon.networkWhitelist.map(parsePattern);
+    }
+    return parsed;
+};
+
+/**
+ * Levenshtein distance, used for "did you mean" suggestions
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Short description of a value's type for error messages
+const describeValue = (value) => {
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    if (value instanceof RegExp) return 'a RegExp';
+    return `${typeof value === 'object' ? 'an' : 'a'} ${typeof value}`;
+};
+
+// Validators return an error message (or a list of them) or null
+const isBoolean = (value) =>
+    typeof value === 'boolean' ? null : `must be true or false, got ${describeValue(value)}`;
+const isString = (value) => (typeof value === 'string' ? null : `must be a string, got ${describeValue(value)}`);
+const isOneOf = (allowed) => (value) =>
+    allowed.includes(value)
+        ? null
+        : `must be one of ${allowed.map((v) => `'${v}'`).join(', ')}, got ${JSON.stringify(value)}`;
+const isSubsetOf = (allowed) => (value) => {
+    if (!Array.isArray(value)) return `must be an array, got ${describeValue(value)}`;
+    const unsupported = value.filter((item) => !allowed.includes(item));
+    return unsupported.length === 0
+        ? null
+        : `contains unsupported value(s) ${unsupported.map((v) => JSON.stringify(v)).join(', ')}; ` +
+              `supported: ${allowed.join(', ')}`;
+};
+const isNonNegativeInteger = (value) =>
+    Number.isInteger(value) && value >= 0 ? null : `must be a non-negative integer, got ${JSON.stringify(value)}`;
+const isPositiveInteger = (value) =>
+    Number.isInteger(value) && value > 0 ? null : `must be a positive integer, got ${JSON.stringify(value)}`;
+// Checks a spec or run budget: { maxErrors, maxWarnings }
+const isBudget = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `must be an object { maxErrors, maxWarnings }, got ${describeValue(value)}`;
+    }
+    const errors = Object.keys(value).map((key) => {
+        if (!BUDGET_KEYS.includes(key)) return `has unknown key ${key}; supported: ${BUDGET_KEYS.join(', ')}`;
+        const error = value[key] === undefined ? null : isNonNegativeInteger(value[key]);
+        return error ? `.${key} ${error}` : null;
+    });
+    return errors.filter(Boolean)[0] || null;
+};
+// Checks a log retention setting: { runs, days }
+const isRetention = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `must be an object { runs, days }, got ${describeValue(value)}`;
+    }
+    const errors = Object.keys(value).map((key) => {
+        if (!RETENTION_KEYS.includes(key)) return `has unknown key ${key}; supported: ${RETENTION_KEYS.join(', ')}`;
+        const error = value[key] === undefined ? null : isPositiveInteger(value[key]);
+        return error ? `.${key} ${error}` : null;
+    });
+    return errors.filter(Boolean)[0] || null;
+};
+// Checks a methodPolicies map: { error: 'fail', warn: 'record', ... }
+const isPolicyMap = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `must be an object such as { warn: 'record' }, got ${describeValue(value)}`;
+    }
+    const errors = Object.keys(value).map((method) => {
+        if (!POLICY_KEYS.includes(method)) {
+            return `.${method} is not a supported method; supported: ${POLICY_KEYS.join(', ')}`;
+        }
+        const error = isOneOf(METHOD_POLICIES)(value[method]);
+        return error ? `.${method} ${error}` : null;
+    });
+    return errors.filter(Boolean);
+};
+// Array validators report every invalid item
+const isArrayOf = (validateItem) => (value) => {
+    if (!Array.isArray(value)) return `must be an array, got ${describeValue(value)}`;
+    const errors = value
+        .map((item, index) => {
+            const error = validateItem(item);
+            return error ? `[${index}] ${error}` : null;
+        })
+        .filter(Boolean);
+    return errors.length > 0 ? errors : null;
+};
+
+// Checks a string or RegExp pattern, including regex strings like "/foo/i"
+const validatePattern = (value) => {
+    if (value instanceof RegExp) return null;
+    if (typeof value !== 'string') {
+        if (value && typeof value === 'object' && Object.keys(value).length === 0) {
+            return (
+                'is an empty object. RegExps in cypress.config.js env are serialized to {}; ' +
+                'write them as strings, e.g. "/ThirdPartyScript/i"'
+            );
+        }
+        return `must be a string or RegExp, got ${describeValue(value)}`;
+    }
+    const match = REGEXP_STRING.exec(value);
+    if (match) {
+        try {
+            new RegExp(match[1], match[2]);
+        } catch (error) {
+            return `is not a valid regular expression (${error.message})`;
+        }
+    }
+    return null;
+};
+
+// Checks a whitelist entry: pattern or rule object
+const validateWhitelistEntry = (entry) => {
+    if (entry && typeof entry === 'object' && !(entry instanceof RegExp) && Object.keys(entry).length > 0) {
+        const unknown = Object.keys(entry).filter((key) => !RULE_KEYS.includes(key));
+        if (unknown.length > 0) {
+            return `has unknown rule key(s) ${unknown.join(', ')}; supported: ${RULE_KEYS.join(', ')}`;
+        }
+        for (const key of ['pattern', 'source', 'frame']) {
+            const error = key in entry ? validatePattern(entry[key]) : null;
+            if (error) return `${key} ${error}`;
+        }
+        if ('maxOccurrences' in entry && !(Number.isInteger(entry.maxOccurrences) && entry.maxOccurrences >= 0)) {
+            return 'maxOccurrences must be a non-negative integer';
+        }
+        if ('expires' in entry && Number.isNaN(new Date(entry.expires).getTime())) {
+            return `expires must be a date such as '2025-06-30', got ${JSON.stringify(entry.expires)}`;
+        }
+        if ('specGlob' in entry && typeof entry.specGlob !== 'string') return 'specGlob must be a string';
+        return null;
+    }
+    return validatePattern(entry);
+};
+
+// Checks a networkStatusRanges item: 404 or '500-599'
+const validateStatusRange = (range) => {
+    const isCode = typeof range === 'number' && Number.isInteger(range);
+    const isRange = typeof range === 'string' && /^\s*\d{3}\s*(-\s*\d{3}\s*)?$/.test(range);
+    return isCode || isRange
+        ? null
+        : `must be a status code or a 'min-max' range such as '500-599', got ${JSON.stringify(range)}`;
+};
+
+// Checks a normalizationRules item: { pattern, replacement }
+const validateNormalizationRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || rule instanceof RegExp) {
+        return 'must be an object { pattern, replacement }';
+    }
+    if (!(rule.pattern instanceof RegExp)) {
+        if (typeof rule.pattern !== 'string') return 'pattern must be a regular expression source string or RegExp';
+        try {
+            new RegExp(rule.pattern);
+        } catch (error) {
+            return `pattern is not a valid regular expression (${error.message})`;
+        }
+    }
+    if ('replacement' in rule && typeof rule.replacement !== 'string') return 'replacement must be a string';
+    return null;
+};
+
+// Validator per supported consoleDaemon key
+const SCHEMA = {
+    failOnSpy: isBoolean,
+    logToFile: isBoolean,
+    methodsToTrack: isSubsetOf(SUPPORTED_METHODS),
+    eventsToTrack: isSubsetOf(SUPPORTED_EVENTS),
+    throwOnWarning: isBoolean,
+    methodPolicies: isPolicyMap,
+    maxErrors: isNonNegativeInteger,
+    maxWarnings: isNonNegativeInteger,
+    specBudget: isBudget,
+    runBudget: isBudget,
+    whitelist: isArrayOf(validateWhitelistEntry),
+    expiredRulePolicy: isOneOf(['warn', 'fail']),
+    trackNetwork: isBoolean,
+    networkStatusRanges: isArrayOf(validateStatusRange),
+    networkWhitelist: isArrayOf(validatePattern),
+    normalizationRules: isArrayOf(validateNormalizationRule),
+    retryPolicy: isOneOf(['any', 'consistent']),
+    failFast: isBoolean,
+    monitorHooks: isBoolean,
+    commandLog: isBoolean,
+    debug: isBoolean,
+    logDir: isString,
+    logFormat: isOneOf(['text', 'ndjson']),
+    logLayout: isOneOf(['flat', 'mirror']),
+    logPerRun: isBoolean,
+    logBeforeSpec: isOneOf(['keep', 'truncate']),
+    logRetention: isRetention,
+    history: isBoolean,
+    historySize: isPositiveInteger,
+    reports: isSubsetOf(SUPPORTED_REPORTS),
+    reportDir: isString,
+    baselineFile: isString,
+    updateBaseline: isBoolean,
+    sourceMapDirs: (value) => (typeof value === 'string' ? null : isArrayOf(isString)(value)),
+    whitelistFile: isString,
+};
+
+/**
+ * Validates a consoleDaemon config object
+ * @param {Object} consoleDaemon - Config to validate
+ * @param {string} [location] - Where the config comes from, used in messages
+ * @returns {{errors: string[], warnings: string[]}} - Problems found
+ */
+const validateConfig = (consoleDaemon, location = 'consoleDaemon') => {
+    const errors = [];
+    const warnings = [];
+    if (consoleDaemon === undefined || consoleDaemon === null) {
+        return { errors, warnings };
+    }
+    if (typeof consoleDaemon !== 'object' || Array.isArray(consoleDaemon)) {
+        errors.push(`${location} must be an object, got ${describeValue(consoleDaemon)}`);
+        return { errors, warnings };
+    }
+    Object.keys(consoleDaemon).forEach((key) => {
+        const validate = SCHEMA[key];
+        if (!validate) {
+            const suggestion = Object.keys(SCHEMA).find(
+                (known) => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2
+            );
+            warnings.push(
+                `${location}.${key} is not a known option and is ignored` +
+                    (suggestion ? `. Did you mean "${suggestion}"?` : '')
+            );
+            return;
+        }
+        if (consoleDaemon[key] === undefined) return;
+        [].concat(validate(consoleDaemon[key]) || []).forEach((error) => {
+            errors.push(`${location}.${key}${/^[[.]/.test(error) ? '' : ' '}${error}`);
+        });
+    });
+    return { errors, warnings };
+};
+
+/**
+ * Builds the error thrown for an invalid config
+ * @param {string[]} errors - Validation errors
+ * @returns {Error}
+ */
+const createConfigError = (errors) => {
+    const error = new Error(
+        `Invalid cypress-console-spy configuration:\n${errors.map((message) => `• ${message}`).join('\n')}`
+    );
+    error.name = 'ConsoleDaemonConfigError';
+    return error;
+};
+
+module.exports = {
+    SUPPORTED_METHODS,
+    SUPPORTED_EVENTS,
+    SUPPORTED_REPORTS,
+    parsePattern,
+    stringifyPattern,
+    mapWhitelistPatterns,
+    parseConfigPatterns,
+    validateConfig,
+    createConfigError,
+};
@@ -0,0 +1,70 @@
+// Built-in normalization rules, applied after user rules. Order matters: specific patterns first.
+const DEFAULT_RULES = [
+    { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '<uuid>' },
+    { pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s?#"'`]*)\?[^\s#"'`]*/gi, replacement: '$1?<query>' },
+    { pattern: /"[^"\n]*"/g, replacement: '"<value>"' },
+    { pattern: /'[^'\n]*'/g, replacement: "'<value>'" },
+    { pattern: /`[^`\n]*`/g, replacement: '`<value>`' },
+    { pattern: /\b0x[0-9a-f]+\b/gi, replacement: '<hex>' },
+    { pattern: /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, replacement: '<hex>' },
+    { pattern: /\d+(?:\.\d+)?/g, replacement: '<n>' },
+];
+
+/**
+ * Converts user rules ({ pattern, replacement }) to global RegExp rules.
+ * String patterns are treated as regular expression sources.
+ * @param {Array<Object>} rules - User normalization rules
+ * @returns {Array<{pattern: RegExp, replacement: string}>}
+ */
+const compileRules = (rules) =>
+    (rules || []).map(({ pattern, replacement = '<value>' }) => {
+        if (pattern instanceof RegExp) {
+            const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+            return { pattern: new RegExp(pattern.source, flags), replacement };
+        }
+        return { pattern: new RegExp(String(pattern), 'g'), replacement };
+    });
+
+/**
+ * Masks volatile parts of a message (numbers, UUIDs, hex IDs, URL query strings, quoted values)
+ * @param {string} message - Original message
+ * @param {Array<Object>} [customRules] - Additional { pattern, replacement } rules applied first
+ * @returns {string} - Normalized message
+ */
+const normalizeMessage = (message, customRules = []) =>
+    [...compileRules(customRules), ...DEFAULT_RULES].reduce(
+        (normalized, rule) => normalized.replace(rule.pattern, rule.replacement),
+        String(message)
+    );
+
+/**
+ * Hashes a string to 8 hex characters (FNV-1a, 32 bit)
+ * @param {string} value - String to hash
+ * @returns {string}
+ */
+const hashString = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Builds the fingerprint of an issue from its type and normalized message
+ * @param {string} type - Issue type
+ * @param {string} message - Original message
+ * @param {Array<Object>} [customRules] - Additional normalization rules
+ * @returns {{fingerprint: string, normalized: string}}
+ */
+const fingerprintIssue = (type, message, customRules = []) => {
+    const normalized = normalizeMessage(message, customRules);
+    return { fingerprint: hashString(`${type}\u0000${normalized}`), normalized };
+};
+
+module.exports = {
+    DEFAULT_RULES,
+    normalizeMessage,
+    fingerprintIssue,
+};
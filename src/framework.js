@@ -0,0 +1,33 @@
+// Development warnings of UI frameworks, reported as issues of type 'framework'
+const FRAMEWORK_WARNINGS = [
+    // React up to 18 prefixes its development warnings with "Warning: "
+    { framework: 'react', pattern: /^Warning: / },
+    // React 19 dropped the prefix, so match its most common warnings
+    {
+        framework: 'react',
+        pattern: /^(Each child in a list should have a unique "key" prop|Failed prop type: |React does not recognize the |Invalid DOM property |A component is changing an? (un)?controlled input)/,
+    },
+    { framework: 'vue', pattern: /^\[Vue warn\]/ },
+];
+
+// Frameworks report their warnings through these console methods
+const FRAMEWORK_METHODS = ['error', 'warn'];
+
+/**
+ * Detects framework development warnings, such as React key and prop type warnings or Vue warnings
+ * @param {string} method - Console method of the call
+ * @param {string} message - Message built from the call arguments
+ * @returns {string|null} - 'react', 'vue' or null for other messages
+ */
+const detectFramework = (method, message) => {
+    if (!FRAMEWORK_METHODS.includes(method)) {
+        return null;
+    }
+    const match = FRAMEWORK_WARNINGS.find(({ pattern }) => pattern.test(message));
+    return match ? match.framework : null;
+};
+
+module.exports = {
+    FRAMEWORK_METHODS,
+    detectFramework,
+};
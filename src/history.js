@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { isErrorType } = require('./stats');
+
+const HISTORY_FILE_NAME = 'console-spy-history.json';
+const DEFAULT_HISTORY_SIZE = 30;
+
+/**
+ * Builds the compact summary of a run kept in the history file
+ * @param {Object} stats - Server error statistics
+ * @param {string[]} specsRun - Specs executed in the run, including those without issues
+ * @returns {Object} - { finishedAt, errors, warnings, specs: { [spec]: { errors, warnings, fingerprints } } }
+ */
+const summarizeRun = (stats, specsRun = []) => {
+    const specs = {};
+    const getSpec = (spec) => {
+        specs[spec] = specs[spec] || { errors: 0, warnings: 0, fingerprints: {} };
+        return specs[spec];
+    };
+    specsRun.forEach(getSpec);
+    stats.details.forEach((detail) => {
+        const spec = getSpec(detail.spec || 'unknown spec');
+        spec[isErrorType(detail.type) ? 'errors' : 'warnings']++;
+        const key = detail.fingerprint || `${detail.type}:${detail.message}`;
+        const fingerprint = spec.fingerprints[key] || {
+            type: detail.type,
+            normalized: detail.normalized || detail.message,
+            count: 0,
+        };
+        fingerprint.count++;
+        spec.fingerprints[key] = fingerprint;
+    });
+    return { finishedAt: new Date().toISOString(), errors: stats.errors, warnings: stats.warnings, specs };
+};
+
+/**
+ * Reads the history file. Returns an empty history if the file does not exist.
+ * History format: { runs: [run summaries, oldest first] }
+ * @param {string} historyPath - Absolute path of the history file
+ * @returns {{runs: Array<Object>}}
+ */
+const loadHistory = (historyPath) => {
+    if (!fs.existsSync(historyPath)) {
+        return { runs: [] };
+    }
+    const parsed = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    return { runs: Array.isArray(parsed?.runs) ? parsed.runs : [] };
+};
+
+/**
+ * Adds a run to the history file, keeping the newest `size` runs
+ * @param {string} historyPath - Absolute path of the history file
+ * @param {{runs: Array<Object>}} history - History loaded before the run
+ * @param {Object} run - Summary built by summarizeRun
+ * @param {number} [size] - Runs to keep
+ */
+const saveHistory = async (historyPath, history, run, size = DEFAULT_HISTORY_SIZE) => {
+    const runs = [...history.runs, run].slice(-size);
+    await fs.promises.mkdir(path.dirname(historyPath), { recursive: true });
+    await fs.promises.writeFile(historyPath, JSON.stringify({ runs }, null, 2) + '\n', 'utf8');
+};
+
+/**
+ * Compares a run with the previous one. Only specs executed in both runs are compared,
+ * so running a subset of specs does not report the others as resolved.
+ * @param {Object} previous - Summary of the previous run
+ * @param {Object} current - Summary of the current run
+ * @returns {{newIssues: Array<Object>, resolvedIssues: Array<Object>, specDeltas: Array<Object>, compared: number}}
+ *     Issues are { spec, fingerprint, type, normalized, count }; deltas are { spec, errors, warnings } with
+ *     [previous, current] counts, listed for specs whose counts changed
+ */
+const diffRuns = (previous, current) => {
+    const newIssues = [];
+    const resolvedIssues = [];
+    const specDeltas = [];
+    const specs = Object.keys(current.specs).filter((spec) => previous.specs[spec]).sort();
+    specs.forEach((spec) => {
+        const before = previous.specs[spec];
+        const after = current.specs[spec];
+        Object.entries(after.fingerprints).forEach(([fingerprint, issue]) => {
+            if (!before.fingerprints[fingerprint]) newIssues.push({ spec, fingerprint, ...issue });
+        });
+        Object.entries(before.fingerprints).forEach(([fingerprint, issue]) => {
+            if (!after.fingerprints[fingerprint]) resolvedIssues.push({ spec, fingerprint, ...issue });
+        });
+        if (before.errors !== after.errors || before.warnings !== after.warnings) {
+            specDeltas.push({
+                spec,
+                errors: [before.errors, after.errors],
+                warnings: [before.warnings, after.warnings],
+            });
+        }
+    });
+    return { newIssues, resolvedIssues, specDeltas, compared: specs.length };
+};
+
+// Signed difference, e.g. "+3", "-1" or "±0"
+const formatDelta = ([before, after]) => {
+    const delta = after - before;
+    if (delta === 0) return '±0';
+    return delta > 0 ? `+${delta}` : String(delta);
+};
+
+/**
+ * Formats the comparison with the previous run for the end-of-run output
+ * @param {Object} diff - Result of diffRuns
+ * @param {Object} previous - Summary of the previous run
+ * @returns {string[]} - Summary lines
+ */
+const formatRunDiff = (diff, previous) => {
+    const lines = [`  Compared with the previous run (${previous.finishedAt}, ${diff.compared} spec(s) in both runs):`];
+    if (diff.newIssues.length === 0 && diff.resolvedIssues.length === 0 && diff.specDeltas.length === 0) {
+        lines.push('    No changes');
+        return lines;
+    }
+    const formatIssue = (issue) => `      ${issue.spec}: ${issue.count}× [${issue.type}] ${issue.normalized}`;
+    if (diff.newIssues.length > 0) {
+        lines.push(`    New (${diff.newIssues.length}):`, ...diff.newIssues.map(formatIssue));
+    }
+    if (diff.resolvedIssues.length > 0) {
+        lines.push(`    Resolved (${diff.resolvedIssues.length}):`, ...diff.resolvedIssues.map(formatIssue));
+    }
+    if (diff.specDeltas.length > 0) {
+        lines.push('    Count changes per spec:');
+        diff.specDeltas.forEach(({ spec, errors, warnings }) => {
+            lines.push(
+                `      ${spec}: errors ${errors[0]} → ${errors[1]} (${formatDelta(errors)}), ` +
+                    `warnings ${warnings[0]} → ${warnings[1]} (${formatDelta(warnings)})`
+            );
+        });
+    }
+    return lines;
+};
+
+module.exports = {
+    HISTORY_FILE_NAME,
+    summarizeRun,
+    loadHistory,
+    saveHistory,
+    diffRuns,
+    formatRunDiff,
+};
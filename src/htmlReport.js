@@ -0,0 +1,253 @@
+const { isErrorType } = require('./stats');
+
+const HTML_REPORT_NAME = 'console-spy-report.html';
+
+// Unique stacks shown per issue group
+const MAX_STACKS = 3;
+
+/**
+ * Escapes a value for use in HTML text and attribute content
+ * @param {*} value - Value to escape
+ * @returns {string} - HTML-safe string
+ */
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+/**
+ * Groups the issues of one test by fingerprint; whitelisted issues form separate groups per matching rule
+ * @param {Array<Object>} issues - Issues of a test ({ type, message, fingerprint, timestamp, attempt, stack, rule })
+ * @returns {Array<{type: string, message: string, fingerprint: string, rule: string|null, count: number,
+ *     firstSeen: string, attempts: number[], messages: string[], stacks: string[], source: string, frame: string}>}
+ */
+const groupTestIssues = (issues) => {
+    const groups = new Map();
+    issues.forEach((issue) => {
+        const key = `${issue.rule || ''}\u0000${issue.fingerprint || `${issue.type}\u0000${issue.message}`}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                type: issue.type,
+                message: issue.message,
+                fingerprint: issue.fingerprint || '',
+                rule: issue.rule || null,
+                count: 0,
+                firstSeen: issue.timestamp,
+                attempts: new Set(),
+                messages: new Set(),
+                stacks: new Set(),
+                source: issue.source || '',
+                frame: issue.frame || '',
+            });
+        }
+        const group = groups.get(key);
+        group.count += issue.count ?? 1;
+        if (issue.timestamp && (!group.firstSeen || issue.timestamp < group.firstSeen)) {
+            group.firstSeen = issue.timestamp;
+        }
+        group.attempts.add(issue.attempt ?? 0);
+        group.messages.add(issue.message);
+        if (issue.stack) group.stacks.add(issue.stack);
+    });
+    return [...groups.values()]
+        .map((group) => ({
+            ...group,
+            attempts: [...group.attempts].sort((a, b) => a - b),
+            messages: [...group.messages],
+            stacks: [...group.stacks].slice(0, MAX_STACKS),
+        }))
+        .sort((a, b) => Number(Boolean(a.rule)) - Number(Boolean(b.rule)) || b.count - a.count);
+};
+
+/**
+ * Collects the issues of a report per spec and test, including the whitelisted ones
+ * @param {Object} report - Report built by buildReport
+ * @returns {Array<{spec: string, tests: Array<{title: string, failed: boolean, issues: Array<Object>}>}>}
+ */
+const collectSpecs = (report) => {
+    const specs = new Map();
+    const getTest = (specPath, title, failed = false) => {
+        if (!specs.has(specPath)) specs.set(specPath, new Map());
+        const tests = specs.get(specPath);
+        if (!tests.has(title)) tests.set(title, { title, failed, issues: [] });
+        return tests.get(title);
+    };
+    report.specs.forEach((spec) => {
+        spec.tests.forEach((test) => getTest(spec.spec, test.title, test.failed).issues.push(...test.issues));
+    });
+    (report.whitelisted || []).forEach((issue) => {
+        getTest(issue.spec || 'unknown spec', issue.test || 'unknown test').issues.push(issue);
+    });
+    return [...specs.entries()].map(([spec, tests]) => ({ spec, tests: [...tests.values()] }));
+};
+
+// Renders one issue group with data attributes for the client-side filters
+const renderGroup = (group, spec, testTitle) => {
+    const searchText = [
+        spec, testTitle, group.type, group.rule, group.frame, group.source, ...group.messages, ...group.stacks,
+    ]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+    const meta = [
+        `First seen: ${escapeHtml(group.firstSeen || 'unknown')}`,
+        `Attempt(s): ${group.attempts.map((attempt) => attempt + 1).join(', ')}`,
+        group.fingerprint ? `Fingerprint: <code>${escapeHtml(group.fingerprint)}</code>` : '',
+        group.source ? `Source: <code>${escapeHtml(group.source)}</code>` : '',
+        group.frame ? `Frame: <code>${escapeHtml(group.frame)}</code>` : '',
+    ].filter(Boolean);
+    const variants = group.messages.length > 1
+        ? `<details><summary>${group.messages.length} message variants</summary><ul>` +
+          group.messages.map((message) => `<li><code>${escapeHtml(message)}</code></li>`).join('') +
+          '</ul></details>'
+        : '';
+    const stacks = group.stacks
+        .map((stack, index) =>
+            `<details><summary>Stack${group.stacks.length > 1 ? ` ${index + 1}` : ''}</summary>` +
+            `<pre>${escapeHtml(stack)}</pre></details>`
+        )
+        .join('');
+    return (
+        `<div class="issue${group.rule ? ' whitelisted' : ''}" data-type="${escapeHtml(group.type)}" ` +
+        `data-whitelisted="${group.rule ? 'true' : 'false'}" data-search="${escapeHtml(searchText)}">` +
+        '<div class="issue-head">' +
+        `<span class="badge ${isErrorType(group.type) ? 'error' : 'warning'}">${escapeHtml(group.type)}</span>` +
+        `<span class="count">${group.count}×</span>` +
+        `<code class="message">${escapeHtml(group.message)}</code></div>` +
+        `<div class="meta">${meta.join(' · ')}</div>` +
+        (group.rule ? `<div class="rule">Whitelisted by: <code>${escapeHtml(group.rule)}</code></div>` : '') +
+        variants +
+        stacks +
+        '</div>'
+    );
+};
+
+const STYLES = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1d1f27; background: #f5f6f8; }
+header { position: sticky; top: 0; background: #1d1f27; color: #fff; padding: 12px 24px; z-index: 1; }
+header h1 { margin: 0 0 4px; font-size: 18px; }
+.summary { margin: 0 0 8px; color: #c4c7d1; }
+.status-failed { color: #ff8591; font-weight: bold; }
+.filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; }
+.filters input[type="search"] { width: 320px; padding: 4px 8px; border-radius: 4px; border: 0; }
+main { padding: 16px 24px; }
+.spec { background: #fff; border-radius: 6px; margin-bottom: 16px; padding: 8px 16px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+.spec h2 { font-size: 15px; margin: 8px 0; word-break: break-all; }
+.test h3 { font-size: 14px; margin: 12px 0 6px; font-weight: 600; }
+.failed-label { color: #c62836; font-weight: normal; font-size: 12px; margin-left: 6px; }
+.issue { border-left: 3px solid #e94f5f; padding: 4px 10px; margin: 6px 0; background: #fafafb; }
+.issue.whitelisted { border-left-color: #9a9aa9; opacity: .75; }
+.issue-head { display: flex; gap: 8px; align-items: baseline; }
+.badge { font-size: 11px; padding: 1px 6px; border-radius: 3px; color: #fff; background: #e94f5f; }
+.badge.warning { background: #c99a12; }
+.count { font-weight: bold; }
+.message { white-space: pre-wrap; word-break: break-word; }
+.meta, .rule { color: #5b5f6e; font-size: 12px; }
+pre { background: #1d1f27; color: #e4e6ee; padding: 8px; overflow-x: auto; font-size: 12px; }
+.hidden { display: none; }
+#empty { color: #5b5f6e; }
+`;
+
+// Filters issue groups by type, whitelist state and search text; hides tests and specs left empty
+const SCRIPT = `
+(function () {
+    var search = document.getElementById('search');
+    var showWhitelisted = document.getElementById('show-whitelisted');
+    var typeFilters = Array.prototype.slice.call(document.querySelectorAll('.type-filter'));
+    var shown = document.getElementById('shown');
+    var empty = document.getElementById('empty');
+    function apply() {
+        var query = search.value.trim().toLowerCase();
+        var types = typeFilters.filter(function (box) { return box.checked; }).map(function (box) { return box.value; });
+        var visible = 0;
+        document.querySelectorAll('.issue').forEach(function (issue) {
+            var match = types.indexOf(issue.dataset.type) !== -1 &&
+                (showWhitelisted.checked || issue.dataset.whitelisted !== 'true') &&
+                (!query || issue.dataset.search.indexOf(query) !== -1);
+            issue.classList.toggle('hidden', !match);
+            if (match) visible++;
+        });
+        document.querySelectorAll('.test, .spec').forEach(function (section) {
+            section.classList.toggle('hidden', !section.querySelector('.issue:not(.hidden)'));
+        });
+        shown.textContent = visible;
+        empty.classList.toggle('hidden', visible > 0);
+    }
+    search.addEventListener('input', apply);
+    showWhitelisted.addEventListener('change', apply);
+    typeFilters.forEach(function (box) { box.addEventListener('change', apply); });
+    apply();
+})();
+`;
+
+/**
+ * Renders a report as a self-contained HTML page (inline styles and script, no network assets)
+ * with issues grouped by spec, test and fingerprint, and filters by type and text
+ * @param {Object} report - Report built by buildReport
+ * @returns {string} - HTML document
+ */
+const buildHtmlReport = (report) => {
+    const specs = collectSpecs(report);
+    const typeCounts = new Map();
+    const specSections = specs.map((spec) => {
+        const tests = spec.tests.map((test) => {
+            const groups = groupTestIssues(test.issues);
+            groups.forEach((group) => typeCounts.set(group.type, (typeCounts.get(group.type) || 0) + group.count));
+            return (
+                '<section class="test">' +
+                `<h3>${escapeHtml(test.title)}${test.failed ? '<span class="failed-label">failed</span>' : ''}</h3>` +
+                groups.map((group) => renderGroup(group, spec.spec, test.title)).join('') +
+                '</section>'
+            );
+        });
+        const counted = spec.tests.reduce(
+            (sum, test) => sum + test.issues.filter((issue) => !issue.rule).length,
+            0
+        );
+        return (
+            '<section class="spec">' +
+            `<h2>${escapeHtml(spec.spec)} <span class="meta">(${counted} issue(s))</span></h2>` +
+            tests.join('') +
+            '</section>'
+        );
+    });
+    const typeFilters = [...typeCounts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([type, count]) =>
+            `<label><input type="checkbox" class="type-filter" value="${escapeHtml(type)}" checked> ` +
+            `${escapeHtml(type)} (${count})</label>`
+        )
+        .join('');
+    const whitelistedCount = (report.whitelisted || []).reduce((sum, issue) => sum + (issue.count ?? 1), 0);
+    const summary = [
+        `Generated ${escapeHtml(report.generatedAt)}`,
+        `<span class="status-${escapeHtml(report.status)}">${escapeHtml(report.status)}</span>`,
+        `${report.totals.errors} error(s)`,
+        `${report.totals.warnings} warning(s)`,
+        `${report.totals.failedTests} failed test(s)`,
+        `${whitelistedCount} whitelisted`,
+        '<span id="shown">0</span> shown',
+    ].join(' · ');
+
+    return (
+        '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+        '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+        '<title>Console issues report</title>\n' +
+        `<style>${STYLES}</style>\n</head>\n<body>\n<header>\n<h1>Console issues</h1>\n` +
+        `<p class="summary">${summary}</p>\n` +
+        '<div class="filters"><input type="search" id="search" placeholder="Search messages, tests, stacks, rules">' +
+        typeFilters +
+        '<label><input type="checkbox" id="show-whitelisted" checked> whitelisted</label></div>\n</header>\n<main>\n' +
+        specSections.join('\n') +
+        '\n<p id="empty" class="hidden">No console issues match the filters.</p>\n</main>\n' +
+        `<script>${SCRIPT}</script>\n</body>\n</html>\n`
+    );
+};
+
+module.exports = {
+    HTML_REPORT_NAME,
+    buildHtmlReport,
+};
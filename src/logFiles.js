@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Run directories are named after the run start, e.g. run-2025-06-30T08-15-00-000Z
+const RUN_DIR_PREFIX = 'run-';
+const RUN_DIR_PATTERN = /^run-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the directory name of a run
+ * @param {Date} date - Run start
+ * @returns {string} - e.g. 'run-2025-06-30T08-15-00-000Z' (sorts chronologically)
+ */
+const getRunDirName = (date) => `${RUN_DIR_PREFIX}${date.toISOString().replace(/[:.]/g, '-')}`;
+
+/**
+ * Reads the start time back from a run directory name
+ * @param {string} name - Directory name
+ * @returns {number|null} - Timestamp in ms, or null for other directories
+ */
+const parseRunDirTime = (name) => {
+    const match = RUN_DIR_PATTERN.exec(name);
+    return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+};
+
+/**
+ * Builds the log file path of a spec
+ * @param {string} dir - Log directory of the run
+ * @param {string} specPath - Spec path relative to the project root
+ * @param {Object} options - { layout: 'flat' or 'mirror', format: 'text' or 'ndjson' }
+ * @returns {string} - <dir>/<spec name>.log, or <dir>/<spec folders>/<spec name>.log for 'mirror'
+ */
+const getSpecLogPath = (dir, specPath, { layout = 'flat', format = 'text' } = {}) => {
+    const extension = format === 'ndjson' ? '.ndjson' : '.log';
+    const specName = path.basename(specPath, path.extname(specPath)) || 'unknown_test';
+    if (layout !== 'mirror') {
+        return path.join(dir, `${specName}${extension}`);
+    }
+    // Keep the mirrored folders inside the log directory
+    const folders = path
+        .normalize(path.dirname(specPath))
+        .split(/[\\/]+/)
+        .filter((segment) => segment && segment !== '.' && segment !== '..' && !segment.endsWith(':'));
+    return path.join(dir, ...folders, `${specName}${extension}`);
+};
+
+/**
+ * Formats a recorded issue as a log line
+ * @param {Object} issue - Recorded issue ({ type, message, fingerprint, test, attempt, timestamp, source, frame })
+ * @param {string} format - 'text' or 'ndjson'
+ * @returns {string} - Line without the trailing newline
+ */
+const formatLogEntry = (issue, format) => {
+    const timestamp = issue.timestamp || new Date().toISOString();
+    if (format === 'ndjson') {
+        return JSON.stringify({ ...issue, timestamp });
+    }
+    const fingerprint = issue.fingerprint ? ` [${issue.fingerprint}]` : '';
+    const test = issue.test ? ` [${issue.test} (attempt ${issue.attempt ?? 0})]` : '';
+    const source = issue.source ? ` (at ${issue.source})` : '';
+    const frame = issue.frame ? ` [frame: ${issue.frame}]` : '';
+    return `[${timestamp}] [${issue.type.toUpperCase()}]${fingerprint}${test}: ${issue.message}${source}${frame}`;
+};
+
+/**
+ * Formats a fingerprint group as a summary line
+ * @param {Object} group - Group built by groupByFingerprint
+ * @param {string} format - 'text' or 'ndjson'
+ * @returns {string} - Line without the trailing newline
+ */
+const formatSummaryEntry = (group, format) => {
+    const tests = group.tests.map((test) => test.test);
+    if (format === 'ndjson') {
+        return JSON.stringify({
+            summary: true,
+            fingerprint: group.fingerprint,
+            type: group.type,
+            normalized: group.normalized,
+            count: group.count,
+            tests,
+        });
+    }
+    return (
+        `[SUMMARY] [${group.fingerprint}] ${group.count}× [${group.type.toUpperCase()}] ${group.normalized}` +
+        ` | tests: ${tests.join(', ')}`
+    );
+};
+
+/**
+ * Picks the run directories past the retention limits
+ * @param {string[]} names - Directory names in the log directory
+ * @param {Object} retention - { runs: run directories to keep, days: age limit in days }
+ * @param {number} [now] - Current time in ms
+ * @returns {string[]} - Names of the run directories to delete
+ */
+const findExpiredRunDirs = (names, { runs, days } = {}, now = Date.now()) => {
+    const runDirs = names
+        .map((name) => ({ name, time: parseRunDirTime(name) }))
+        .filter((dir) => dir.time !== null)
+        .sort((a, b) => b.time - a.time);
+    const isExpired = (dir, index) =>
+        (runs !== undefined && index >= runs) || (days !== undefined && now - dir.time > days * DAY_MS);
+    return runDirs.filter(isExpired).map((dir) => dir.name);
+};
+
+/**
+ * Deletes run directories past the retention limits
+ * @param {string} logDir - Directory holding the run directories
+ * @param {Object} retention - { runs, days }
+ * @returns {Promise<string[]>} - Paths of the deleted directories
+ */
+const pruneRunDirs = async (logDir, retention) => {
+    const entries = await fs.promises.readdir(logDir, { withFileTypes: true });
+    const names = entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+    const expired = findExpiredRunDirs(names, retention).map((name) => path.join(logDir, name));
+    await Promise.all(expired.map((dir) => fs.promises.rm(dir, { recursive: true, force: true })));
+    return expired;
+};
+
+module.exports = {
+    getRunDirName,
+    getSpecLogPath,
+    formatLogEntry,
+    formatSummaryEntry,
+    findExpiredRunDirs,
+    pruneRunDirs,
+};
@@ -0,0 +1,98 @@
+// Status ranges recorded by default when network tracking is enabled
+const DEFAULT_STATUS_RANGES = ['500-599'];
+
+/**
+ * Parses status ranges such as 404, '404' or '500-599' into [min, max] pairs
+ * @param {Array<number|string>} ranges - Configured status ranges
+ * @returns {Array<number[]>} - Parsed [min, max] pairs
+ */
+const parseStatusRanges = (ranges) =>
+    (ranges || []).map((range) => {
+        const [min, max = min] = String(range).split('-').map((part) => Number(part.trim()));
+        return [min, max];
+    });
+
+/**
+ * Checks whether a response status falls into one of the parsed ranges
+ * @param {number} status - HTTP status code
+ * @param {Array<number[]>} parsedRanges - Ranges from parseStatusRanges
+ * @returns {boolean}
+ */
+const isTrackedStatus = (status, parsedRanges) =>
+    parsedRanges.some(([min, max]) => status >= min && status <= max);
+
+/**
+ * Patches fetch and XMLHttpRequest of a window to report failed requests.
+ * onIssue receives { method, url, status, statusText } for tracked statuses and
+ * { method, url, status: 0, statusText: reason } for requests failed at the network level.
+ * @param {Window} win - Application window
+ * @param {Object} options - { statusRanges, onIssue }
+ */
+const trackNetworkRequests = (win, { statusRanges = DEFAULT_STATUS_RANGES, onIssue }) => {
+    const parsedRanges = parseStatusRanges(statusRanges);
+
+    const resolveUrl = (url) => {
+        try {
+            return new win.URL(String(url), win.location.href).href;
+        } catch {
+            return String(url);
+        }
+    };
+
+    if (typeof win.fetch === 'function') {
+        const originalFetch = win.fetch;
+        win.fetch = function (input, init) {
+            const method = String(init?.method || input?.method || 'GET').toUpperCase();
+            const url = resolveUrl(typeof input === 'object' && input?.url ? input.url : input);
+            return originalFetch.apply(this, arguments).then(
+                (response) => {
+                    if (isTrackedStatus(response.status, parsedRanges)) {
+                        onIssue({ method, url, status: response.status, statusText: response.statusText });
+                    }
+                    return response;
+                },
+                (error) => {
+                    // Aborted requests are intentional, not failures
+                    if (error?.name !== 'AbortError') {
+                        onIssue({ method, url, status: 0, statusText: error?.message || 'Network request failed' });
+                    }
+                    throw error;
+                }
+            );
+        };
+    }
+
+    const XHR = win.XMLHttpRequest;
+    if (XHR?.prototype) {
+        const originalOpen = XHR.prototype.open;
+        const originalSend = XHR.prototype.send;
+        XHR.prototype.open = function (method, url) {
+            this.__consoleSpyRequest = { method: String(method || 'GET').toUpperCase(), url: resolveUrl(url) };
+            return originalOpen.apply(this, arguments);
+        };
+        XHR.prototype.send = function () {
+            const request = this.__consoleSpyRequest;
+            if (request) {
+                this.addEventListener('load', () => {
+                    if (isTrackedStatus(this.status, parsedRanges)) {
+                        onIssue({ ...request, status: this.status, statusText: this.statusText });
+                    }
+                });
+                this.addEventListener('error', () => {
+                    onIssue({ ...request, status: 0, statusText: 'Network request failed' });
+                });
+                this.addEventListener('timeout', () => {
+                    onIssue({ ...request, status: 0, statusText: 'Request timed out' });
+                });
+            }
+            return originalSend.apply(this, arguments);
+        };
+    }
+};
+
+module.exports = {
+    DEFAULT_STATUS_RANGES,
+    parseStatusRanges,
+    isTrackedStatus,
+    trackNetworkRequests,
+};
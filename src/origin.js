@@ -0,0 +1,84 @@
+const { SUPPORTED_METHODS } = require('./config');
+
+// Type of the messages posted to the runner window, picked up by the client in the main spec
+const ORIGIN_MESSAGE_TYPE = 'cypress-console-spy:origin-issue';
+
+// Marks consoles already wrapped; Symbol.for keeps the mark when this module is loaded again
+const WRAPPED = Symbol.for('cypress-console-spy.origin');
+
+/**
+ * Converts a console argument into a value that survives postMessage (structured clone)
+ * @param {*} arg - Console argument
+ * @returns {*} - Primitive, plain { name, message, stack } for errors, JSON copy or string
+ */
+const toTransferable = (arg) => {
+    if (arg === null || typeof arg !== 'object') {
+        return typeof arg === 'function' || typeof arg === 'symbol' ? String(arg) : arg;
+    }
+    // Errors from another realm fail instanceof checks
+    if (typeof arg.message === 'string' && typeof arg.stack === 'string') {
+        return { name: arg.name, message: arg.message, stack: arg.stack };
+    }
+    try {
+        return JSON.parse(JSON.stringify(arg));
+    } catch (e) {
+        return String(arg);
+    }
+};
+
+/**
+ * Posts a captured console call or uncaught error to the runner window
+ * @param {Window} win - Application window of the origin
+ * @param {Object} payload - { kind: 'console', method, args, stack } or { kind: 'error', message, filename, lineno, colno, stack }
+ */
+const postIssue = (win, payload) => {
+    try {
+        win.top.postMessage({ type: ORIGIN_MESSAGE_TYPE, frame: win.location.href, ...payload }, '*');
+    } catch (e) {
+        // The issue cannot be reported, keep the application running
+    }
+};
+
+/**
+ * Wraps the console methods and listens for uncaught errors of an application window (once per document)
+ * @param {Window} win - Application window of the origin
+ */
+const attachToWindow = (win) => {
+    if (!win?.console || win.console[WRAPPED]) return;
+    win.console[WRAPPED] = true;
+    SUPPORTED_METHODS.forEach((method) => {
+        const original = win.console[method];
+        if (typeof original !== 'function') return;
+        win.console[method] = function (...args) {
+            const result = original.apply(this, args);
+            postIssue(win, { kind: 'console', method, args: args.map(toTransferable), stack: new Error().stack });
+            return result;
+        };
+    });
+    win.addEventListener('error', (event) => {
+        postIssue(win, {
+            kind: 'error',
+            message: event.message,
+            filename: event.filename,
+            lineno: event.lineno,
+            colno: event.colno,
+            stack: event.error?.stack,
+        });
+    });
+};
+
+/**
+ * Spies on the application windows of a cy.origin block. Call it at the start of the block; console calls
+ * and uncaught errors are sent to the main spec and checked there with the issue's frame URL set.
+ * @param {Object} Cypress - Cypress object of the cy.origin block
+ * @returns {Cypress.Chainable} - Chain attaching to the current window
+ */
+const spyOnOrigin = (Cypress) => {
+    Cypress.on('window:load', attachToWindow);
+    return cy.window({ log: false }).then(attachToWindow);
+};
+
+module.exports = {
+    ORIGIN_MESSAGE_TYPE,
+    spyOnOrigin,
+};
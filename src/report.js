@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { createStats, addWhitelisted, groupByFingerprint, formatBudgetViolation } = require('./stats');
+const { HTML_REPORT_NAME, buildHtmlReport } = require('./htmlReport');
+
+const JSON_REPORT_NAME = 'console-spy-report.json';
+const JUNIT_REPORT_NAME = 'console-spy-junit.xml';
+
+/**
+ * Escapes a value for use in XML text and attribute content
+ * @param {*} value - Value to escape
+ * @returns {string} - XML-safe string
+ */
+const escapeXml = (value) =>
+    String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+/**
+ * Builds a structured report grouped by spec and test
+ * @param {Object} stats - Server error statistics ({ errors, warnings, details, failedTests })
+ * @returns {Object} - Report object ready to be serialized as JSON
+ */
+const buildReport = (stats) => {
+    const specs = new Map();
+
+    const getTest = (specPath, testTitle) => {
+        const specKey = specPath || 'unknown spec';
+        if (!specs.has(specKey)) {
+            specs.set(specKey, { spec: specKey, tests: new Map() });
+        }
+        const spec = specs.get(specKey);
+        const testKey = testTitle || 'unknown test';
+        if (!spec.tests.has(testKey)) {
+            spec.tests.set(testKey, { title: testKey, failed: false, issues: [] });
+        }
+        return spec.tests.get(testKey);
+    };
+
+    stats.details.forEach((detail) => {
+        getTest(detail.spec, detail.test).issues.push({
+            type: detail.type,
+            message: detail.message,
+            timestamp: detail.timestamp,
+            attempt: detail.attempt ?? 0,
+            fingerprint: detail.fingerprint,
+            ...(detail.network ? { network: detail.network } : {}),
+            ...(detail.stack ? { stack: detail.stack, source: detail.source } : {}),
+            ...(detail.frame ? { frame: detail.frame } : {}),
+            ...(detail.framework ? { framework: detail.framework } : {}),
+        });
+    });
+    (stats.failedTests || []).forEach((failure) => {
+        getTest(failure.spec, failure.test).failed = true;
+    });
+
+    const specList = [...specs.values()].map((spec) => {
+        const tests = [...spec.tests.values()];
+        return {
+            spec: spec.spec,
+            tests,
+            failures: tests.filter((test) => test.failed).length,
+            issues: tests.reduce((sum, test) => sum + test.issues.length, 0),
+        };
+    });
+
+    const budgetViolations = stats.budgetViolations || [];
+    return {
+        generatedAt: new Date().toISOString(),
+        // 'failed' when a spec or run budget was exceeded
+        status: budgetViolations.length > 0 ? 'failed' : 'passed',
+        budgetViolations,
+        totals: {
+            errors: stats.errors,
+            warnings: stats.warnings,
+            issues: stats.details.length,
+            failedTests: specList.reduce((sum, spec) => sum + spec.failures, 0),
+        },
+        specs: specList,
+        fingerprints: groupByFingerprint(stats.details),
+        // Console errors seen in some attempts of a retried test but not in all of them
+        flaky: stats.flaky || [],
+        // Issues suppressed by whitelist rules ({ spec, test, type, message, rule, ... }), not counted above
+        whitelisted: stats.whitelisted || [],
+    };
+};
+
+/**
+ * Renders a report as JUnit XML: one testsuite per spec, one testcase per test
+ * with console issues, and a failure element for tests failed by console errors
+ * @param {Object} report - Report built by buildReport
+ * @returns {string} - JUnit XML document
+ */
+const buildJunitXml = (report) => {
+    const formatIssue = (issue) =>
+        `[${issue.timestamp}] [${issue.type.toUpperCase()}]: ${issue.message}` +
+        (issue.source ? ` (at ${issue.source})` : '') +
+        (issue.stack ? `\n${issue.stack}` : '');
+
+    // Exceeded budgets are reported as failed "Console issue budget" testcases
+    const formatBudgetCase = (classname, violations) =>
+        `    <testcase classname="${escapeXml(classname)}" name="Console issue budget">\n` +
+        `      <failure type="ConsoleBudget" message="${escapeXml(
+            violations.map(formatBudgetViolation).join('; ')
+        )}"></failure>\n` +
+        '    </testcase>';
+    const budgetViolations = report.budgetViolations || [];
+    const runViolations = budgetViolations.filter((violation) => violation.scope === 'run');
+    const budgetSuites = runViolations.length > 0
+        ? ['  <testsuite name="console budget" tests="1" failures="1" errors="0">\n' +
+              formatBudgetCase('run', runViolations) + '\n  </testsuite>']
+        : [];
+
+    const suites = report.specs.map((spec) => {
+        const specViolations = budgetViolations.filter(
+            (violation) => violation.scope === 'spec' && violation.spec === spec.spec
+        );
+        const budgetCases = specViolations.length > 0 ? [formatBudgetCase(spec.spec, specViolations)] : [];
+        const cases = spec.tests.map((test) => {
+            const details = escapeXml(test.issues.map(formatIssue).join('\n'));
+            const body = test.failed
+                ? `      <failure type="ConsoleErrors" message="${escapeXml(
+                      `Console errors detected (${test.issues.length})`
+                  )}">${details}</failure>\n`
+                : `      <system-out>${details}</system-out>\n`;
+            return (
+                `    <testcase classname="${escapeXml(spec.spec)}" name="${escapeXml(test.title)}">\n` +
+                body +
+                '    </testcase>'
+            );
+        });
+        cases.push(...budgetCases);
+        return (
+            `  <testsuite name="${escapeXml(spec.spec)}" tests="${spec.tests.length + budgetCases.length}" ` +
+            `failures="${spec.failures + budgetCases.length}" errors="0">\n` +
+            (cases.length > 0 ? cases.join('\n') + '\n' : '') +
+            '  </testsuite>'
+        );
+    });
+    suites.push(...budgetSuites);
+    const budgetCaseCount = new Set(budgetViolations.map((violation) => violation.spec || 'run')).size;
+
+    return (
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="cypress-console-spy" tests="${report.specs.reduce(
+            (sum, spec) => sum + spec.tests.length,
+            budgetCaseCount
+        )}" failures="${report.totals.failedTests + budgetCaseCount}" errors="0">\n` +
+        (suites.length > 0 ? suites.join('\n') + '\n' : '') +
+        '</testsuites>\n'
+    );
+};
+
+/**
+ * Merges JSON reports, e.g. from CI machines that ran different specs in parallel, into one report.
+ * Totals, fingerprint groups and the status are recomputed from the merged issues.
+ * @param {Array<Object>} reports - Reports built by buildReport (parsed console-spy-report.json files)
+ * @returns {Object} - Combined report, with `mergedReports` set to the number of merged reports
+ */
+const mergeReports = (reports) => {
+    const stats = { ...createStats(), flaky: [] };
+    reports.forEach((report) => {
+        // Report issues do not carry the normalized message, it is listed per fingerprint
+        const normalized = new Map((report.fingerprints || []).map((group) => [group.fingerprint, group.normalized]));
+        stats.errors += report.totals?.errors || 0;
+        stats.warnings += report.totals?.warnings || 0;
+        (report.specs || []).forEach((spec) => {
+            spec.tests.forEach((test) => {
+                test.issues.forEach((issue) => {
+                    stats.details.push({
+                        ...issue,
+                        spec: spec.spec,
+                        test: test.title,
+                        ...(normalized.get(issue.fingerprint) ? { normalized: normalized.get(issue.fingerprint) } : {}),
+                    });
+                });
+                if (test.failed) {
+                    stats.failedTests.push({ spec: spec.spec, test: test.title });
+                }
+            });
+        });
+        stats.budgetViolations.push(...(report.budgetViolations || []));
+        stats.flaky.push(...(report.flaky || []));
+        addWhitelisted(stats.whitelisted, report.whitelisted);
+    });
+    // Marks the result, so directory scans of later merges skip it instead of counting its issues twice
+    return { ...buildReport(stats), mergedReports: reports.length };
+};
+
+/**
+ * Writes the requested report formats to disk
+ * @param {string} reportDir - Directory to write reports into
+ * @param {Object} report - Report built by buildReport
+ * @param {string[]} formats - Formats to write ('json', 'junit', 'html')
+ * @returns {Promise<string[]>} - Paths of the written files
+ */
+const writeReports = async (reportDir, report, formats) => {
+    const written = [];
+    if (!formats || formats.length === 0) {
+        return written;
+    }
+    await fs.promises.mkdir(reportDir, { recursive: true });
+    if (formats.includes('json')) {
+        const jsonPath = path.join(reportDir, JSON_REPORT_NAME);
+        await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+        written.push(jsonPath);
+    }
+    if (formats.includes('junit')) {
+        const junitPath = path.join(reportDir, JUNIT_REPORT_NAME);
+        await fs.promises.writeFile(junitPath, buildJunitXml(report), 'utf8');
+        written.push(junitPath);
+    }
+    if (formats.includes('html')) {
+        const htmlPath = path.join(reportDir, HTML_REPORT_NAME);
+        await fs.promises.writeFile(htmlPath, buildHtmlReport(report), 'utf8');
+        written.push(htmlPath);
+    }
+    return written;
+};
+
+module.exports = {
+    JSON_REPORT_NAME,
+    JUNIT_REPORT_NAME,
+    HTML_REPORT_NAME,
+    buildReport,
+    buildJunitXml,
+    mergeReports,
+    writeReports,
+};
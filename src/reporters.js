@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { isErrorType } = require('./stats');
+
+// Hooks a reporter can implement, called by the server in this order during a run
+const REPORTER_HOOKS = ['onIssue', 'onTestEnd', 'onSpecEnd', 'onRunEnd'];
+
+/**
+ * Builds the issue filter of a sink from its `types` option
+ * @param {string[]|'all'} [types] - Issue types to pass on, 'all', or undefined for error types only
+ * @returns {function(Object): boolean}
+ */
+const createTypeFilter = (types) => {
+    if (types === 'all') return () => true;
+    if (Array.isArray(types)) return (issue) => types.includes(issue.type);
+    return (issue) => isErrorType(issue.type);
+};
+
+/**
+ * Checks the reporters passed to the server
+ * @param {*} reporters - Value of the `reporters` server option
+ * @returns {string[]} - Error messages, empty when the reporters are valid
+ */
+const validateReporters = (reporters) => {
+    if (!Array.isArray(reporters)) {
+        return ['reporters must be an array of reporter objects'];
+    }
+    const errors = [];
+    reporters.forEach((reporter, index) => {
+        const label = `reporters[${index}]`;
+        if (!reporter || typeof reporter !== 'object') {
+            errors.push(`${label} must be an object with ${REPORTER_HOOKS.join(', ')} hooks`);
+            return;
+        }
+        REPORTER_HOOKS.forEach((hook) => {
+            if (reporter[hook] !== undefined && typeof reporter[hook] !== 'function') {
+                errors.push(`${label}.${hook} must be a function`);
+            }
+        });
+        if (!REPORTER_HOOKS.some((hook) => typeof reporter[hook] === 'function')) {
+            errors.push(`${label} has none of the ${REPORTER_HOOKS.join(', ')} hooks`);
+        }
+    });
+    return errors;
+};
+
+/**
+ * Calls a hook on every reporter in turn. A failing reporter is logged and never breaks the run.
+ * @param {Array<Object>} reporters - Reporter objects
+ * @param {string} hook - One of REPORTER_HOOKS
+ * @param {Object} payload - Argument passed to the hook
+ * @returns {Promise<void>}
+ */
+const emitToReporters = async (reporters, hook, payload) => {
+    for (const [index, reporter] of reporters.entries()) {
+        if (typeof reporter[hook] !== 'function') continue;
+        try {
+            await reporter[hook](payload);
+        } catch (error) {
+            const name = reporter.name || `reporters[${index}]`;
+            console.error(`[cypress-console-spy] Reporter ${name} failed in ${hook}:`, error?.message ?? error);
+        }
+    }
+};
+
+/**
+ * Prints issues to the terminal as they are recorded (the default reporter)
+ * @param {Object} [options] - { types: issue types to print, 'all' or error types by default }
+ * @returns {Object} - Reporter
+ */
+const stdoutReporter = ({ types } = {}) => {
+    const accepts = createTypeFilter(types);
+    return {
+        name: 'stdout',
+        onIssue(issue) {
+            if (!accepts(issue)) return;
+            const label = isErrorType(issue.type) ? 'CRITICAL' : 'ISSUE';
+            const location = issue.spec ? ` ${issue.spec} > ${issue.test}` : '';
+            console.log(`[cypress-console-spy] ${label} [${issue.type.toUpperCase()}]${location}: ${issue.message}`);
+        },
+    };
+};
+
+/**
+ * Appends issues to a file, one JSON object per line (NDJSON)
+ * @param {Object} options - { path: file path, relative to the working directory; types }
+ * @returns {Object} - Reporter
+ */
+const fileReporter = ({ path: filePath, types } = {}) => {
+    if (typeof filePath !== 'string' || filePath === '') {
+        throw new TypeError('[cypress-console-spy] fileReporter requires a path');
+    }
+    const accepts = createTypeFilter(types);
+    const resolvedPath = path.resolve(filePath);
+    let dirCreated = false;
+    return {
+        name: 'file',
+        async onIssue(issue) {
+            if (!accepts(issue)) return;
+            if (!dirCreated) {
+                await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+                dirCreated = true;
+            }
+            await fs.promises.appendFile(resolvedPath, `${JSON.stringify(issue)}\n`, 'utf8');
+        },
+    };
+};
+
+/**
+ * Sends a request body to a URL
+ * @param {URL} target - Request URL
+ * @param {string} body - Request body
+ * @param {Object} options - { method, headers, timeout in ms }
+ * @returns {Promise<number>} - Response status
+ */
+const sendRequest = (target, body, { method, headers, timeout }) =>
+    new Promise((resolve, reject) => {
+        const transport = target.protocol === 'https:' ? https : http;
+        const request = transport.request(
+            target,
+            {
+                method,
+                timeout,
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+            },
+            (response) => {
+                // Drain the response so the socket is released
+                response.resume();
+                response.on('end', () => resolve(response.statusCode));
+            }
+        );
+        request.on('timeout', () => request.destroy(new Error(`timed out after ${timeout}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Posts issues to an HTTP(S) webhook in batches. A batch is sent when it is full, after `flushInterval`,
+ * at the end of each spec and at the end of the run. Network errors, 429 and 5xx responses are retried.
+ * @param {Object} options - Webhook options
+ * @param {string} options.url - Webhook URL (http or https)
+ * @param {Object} [options.headers] - Extra request headers, e.g. an authorization token
+ * @param {string} [options.method='POST'] - Request method
+ * @param {string[]|'all'} [options.types] - Issue types to send, error types by default
+ * @param {number} [options.batchSize=20] - Issues per request
+ * @param {number} [options.flushInterval=5000] - Milliseconds a partial batch waits, 0 to hold it until the spec ends
+ * @param {number} [options.retries=2] - Retries of a failed request
+ * @param {number} [options.retryDelay=1000] - Milliseconds before the first retry, growing with each retry
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {function(Array<Object>): *} [options.format] - Builds the request body from a batch of issues
+ * @returns {Object} - Reporter
+ */
+const webhookReporter = ({
+    url,
+    headers = {},
+    method = 'POST',
+    types,
+    batchSize = 20,
+    flushInterval = 5000,
+    retries = 2,
+    retryDelay = 1000,
+    timeout = 10000,
+    format = (issues) => ({ source: 'cypress-console-spy', issues }),
+} = {}) => {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        target = null;
+    }
+    if (!target || !['http:', 'https:'].includes(target.protocol)) {
+        throw new TypeError(`[cypress-console-spy] webhookReporter requires an http(s) url, got: ${url}`);
+    }
+    // A batchSize of 0 would never empty the queue; the other limits must be usable numbers as well
+    [
+        ['batchSize', batchSize, Number.isInteger(batchSize) && batchSize > 0, 'a positive integer'],
+        ['retries', retries, Number.isInteger(retries) && retries >= 0, 'a non-negative integer'],
+        ['retryDelay', retryDelay, Number.isFinite(retryDelay) && retryDelay >= 0, 'a non-negative number'],
+        ['timeout', timeout, Number.isFinite(timeout) && timeout > 0, 'a positive number'],
+        ['flushInterval', flushInterval, Number.isFinite(flushInterval) && flushInterval >= 0, 'a non-negative number'],
+    ].forEach(([name, value, valid, expected]) => {
+        if (!valid) {
+            throw new TypeError(`[cypress-console-spy] webhookReporter ${name} must be ${expected}, got: ${value}`);
+        }
+    });
+    const accepts = createTypeFilter(types);
+    const queue = [];
+    let timer = null;
+    // Batches are sent one after another, in the order they were queued
+    let sending = Promise.resolve();
+
+    const deliver = async (batch) => {
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) await wait(retryDelay * attempt);
+            try {
+                const body = format(batch);
+                const status = await sendRequest(target, typeof body === 'string' ? body : JSON.stringify(body), {
+                    method,
+                    headers,
+                    timeout,
+                });
+                if (status >= 200 && status < 300) return;
+                lastError = `HTTP ${status}`;
+                // Other client errors will not succeed on retry
+                if (status < 500 && status !== 429) break;
+            } catch (error) {
+                lastError = error.message;
+            }
+        }
+        console.error(
+            `[cypress-console-spy] Webhook ${target.origin} failed, ${batch.length} issue(s) not delivered:`,
+            lastError
+        );
+    };
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        while (queue.length > 0) {
+            const batch = queue.splice(0, batchSize);
+            sending = sending.then(() => deliver(batch));
+        }
+        return sending;
+    };
+
+    return {
+        name: 'webhook',
+        onIssue(issue) {
+            if (!accepts(issue)) return;
+            queue.push(issue);
+            if (queue.length >= batchSize) {
+                // Sent in the background so tests do not wait for the webhook
+                flush();
+            } else if (!timer && flushInterval > 0) {
+                timer = setTimeout(flush, flushInterval);
+                // A pending batch must not keep the Cypress process alive
+                timer.unref?.();
+            }
+        },
+        onSpecEnd() {
+            return flush();
+        },
+        onRunEnd() {
+            return flush();
+        },
+    };
+};
+
+module.exports = {
+    REPORTER_HOOKS,
+    validateReporters,
+    emitToReporters,
+    stdoutReporter,
+    fileReporter,
+    webhookReporter,
+};
@@ -1,17 +1,123 @@
 const fs = require('fs');
 const path = require('path');
+const { buildReport, writeReports } = require('./report');
+const {
+    DEFAULT_BASELINE_FILE,
+    loadBaseline,
+    saveBaseline,
+    mergeBaseline,
+    findStaleEntries,
+} = require('./baseline');
+const { createSourceMapResolver } = require('./sourceMap');
+const {
+    isErrorType,
+    createStats,
+    addWhitelisted,
+    filterStats,
+    groupByFingerprint,
+    findFlakyIssues,
+    checkBudget,
+    formatBudgetViolation,
+    formatRunSummary,
+    formatSpecSummary,
+} = require('./stats');
+const { fingerprintIssue, normalizeMessage } = require('./fingerprint');
+const {
+    validateConfig,
+    createConfigError,
+    parseConfigPatterns,
+    mapWhitelistPatterns,
+    stringifyPattern,
+} = require('./config');
+const { loadWhitelistFile, findUnusedRules } = require('./whitelistFile');
+const { validateReporters, emitToReporters, stdoutReporter } = require('./reporters');
+const { HISTORY_FILE_NAME, summarizeRun, loadHistory, saveHistory, diffRuns, formatRunDiff } = require('./history');
+const { getRunDirName, getSpecLogPath, formatLogEntry, formatSummaryEntry, pruneRunDirs } = require('./logFiles');
 
-module.exports = (on, config) => {
-    let errorStats = { errors: 0, warnings: 0, details: [] };
+module.exports = (on, config, options = {}) => {
+    // Validate the consoleDaemon config at startup so mistakes are reported before any spec runs
+    [
+        ['expose.consoleDaemon', config?.expose?.consoleDaemon],
+        ['env.consoleDaemon', config?.env?.consoleDaemon],
+    ].forEach(([location, consoleDaemon]) => {
+        const { errors, warnings } = validateConfig(consoleDaemon, location);
+        warnings.forEach((warning) => console.warn('[cypress-console-spy]', warning));
+        if (errors.length > 0) {
+            throw createConfigError(errors);
+        }
+    });
+
+    // Reporter sinks receive every recorded issue; the terminal reporter is used when none are passed
+    const reporters = options.reporters ?? [stdoutReporter()];
+    const reporterErrors = validateReporters(reporters);
+    if (reporterErrors.length > 0) {
+        throw createConfigError(reporterErrors);
+    }
+
+    let errorStats = createStats();
     let debugMode = false;
     let logDirCreated = false;
+    // Directory name of the current run when logPerRun is on, chosen on first use
+    let runDirName = null;
+    // Baseline state: loaded file (undefined = not loaded yet), messages seen per spec/test, specs run
+    let baseline;
+    let observedBaseline = {};
+    let specsRun = [];
+    // Fingerprints already written to each log file during this run
+    let loggedFingerprints = new Map();
+    // Expired whitelist rules already reported during this run
+    let reportedExpiredRules = new Set();
+    // Whitelist hits per rule description, reported by the client after each test
+    let whitelistRuleHits = {};
+
+    // Read a server-side option from the consoleDaemon config
+    const getDaemonOption = (key) =>
+        config?.expose?.consoleDaemon?.[key] ?? config?.env?.consoleDaemon?.[key];
+
+    // Load the shared whitelist file at startup so invalid rules fail before any spec runs
+    const loadSharedWhitelist = () => {
+        const whitelistFile = getDaemonOption('whitelistFile');
+        if (!whitelistFile) return [];
+        const filePath = path.resolve(config?.projectRoot || process.cwd(), whitelistFile);
+        let entries;
+        try {
+            entries = loadWhitelistFile(filePath);
+        } catch (error) {
+            throw createConfigError([`whitelistFile ${error.message}`]);
+        }
+        const { errors } = validateConfig({ whitelist: entries }, `whitelistFile(${whitelistFile})`);
+        if (errors.length > 0) {
+            throw createConfigError(errors);
+        }
+        return parseConfigPatterns({ whitelist: entries }).whitelist;
+    };
+    const sharedWhitelist = loadSharedWhitelist();
     
     // Get log directory from config or use default
     const getLogDir = () => {
-        const customLogDir = config?.expose?.consoleDaemon?.logDir || config?.env?.consoleDaemon?.logDir;
+        const customLogDir = getDaemonOption('logDir');
         return customLogDir || path.join(process.cwd(), 'cypress', 'logs');
     };
 
+    // Log files of this run go to <logDir>/run-<timestamp> when logPerRun is on
+    const getRunLogDir = () => {
+        if (!getDaemonOption('logPerRun')) return getLogDir();
+        runDirName = runDirName || getRunDirName(new Date());
+        return path.join(getLogDir(), runDirName);
+    };
+
+    const getLogFormat = () => getDaemonOption('logFormat') || 'text';
+
+    // Log file of a spec: <run log dir>/<specBasename>.log, or the spec folders mirrored with logLayout 'mirror'
+    const getLogPath = (testPath) =>
+        getSpecLogPath(getRunLogDir(), testPath, { layout: getDaemonOption('logLayout'), format: getLogFormat() });
+
+    // User normalization rules for fingerprints ({ pattern, replacement })
+    const getNormalizationRules = () => getDaemonOption('normalizationRules') || [];
+
+    // Report formats to write after each spec and after the run (default: JSON, JUnit and HTML)
+    const getReportFormats = () => getDaemonOption('reports') ?? ['json', 'junit', 'html'];
+
     function debugLog(...args) {
         if (debugMode) {
             console.log('[cypress-console-spy]', ...args);
@@ -21,7 +127,7 @@ module.exports = (on, config) => {
     // Ensure log directory exists (called once)
     const ensureLogDir = () => {
         if (logDirCreated) return;
-        const logDir = getLogDir();
+        const logDir = getRunLogDir();
         if (!fs.existsSync(logDir)) {
             debugLog('Creating log directory:', logDir);
             fs.mkdirSync(logDir, { recursive: true });
@@ -32,6 +138,8 @@ module.exports = (on, config) => {
     // Async file append with error handling
     const appendToLogFile = async (logPath, content) => {
         try {
+            // Mirrored spec folders are created on first write
+            await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
             await fs.promises.appendFile(logPath, content, 'utf8');
             debugLog('Log saved to:', logPath);
         } catch (error) {
@@ -39,45 +147,256 @@ module.exports = (on, config) => {
         }
     };
 
+    const getBaselinePath = () =>
+        path.resolve(config?.projectRoot || process.cwd(), getDaemonOption('baselineFile') || DEFAULT_BASELINE_FILE);
+
+    const isUpdatingBaseline = () => Boolean(getDaemonOption('updateBaseline'));
+
+    // Load the baseline file once per run
+    const getBaseline = () => {
+        if (baseline === undefined) {
+            try {
+                baseline = loadBaseline(getBaselinePath());
+                debugLog('Baseline loaded from:', getBaselinePath());
+            } catch (error) {
+                console.error('[cypress-console-spy] Error reading baseline file:', error.message);
+                baseline = null;
+            }
+        }
+        return baseline;
+    };
+
+    // Remember which baseline messages occurred, to update the file or find stale entries
+    const observeBaselineIssues = (issues, testPath, testTitle) => {
+        if (!testPath || (!getBaseline() && !isUpdatingBaseline())) return;
+        observedBaseline[testPath] = observedBaseline[testPath] || {};
+        const seen = observedBaseline[testPath][testTitle || ''] || new Set();
+        issues.forEach((issue) => seen.add(issue.message));
+        observedBaseline[testPath][testTitle || ''] = seen;
+    };
+
+    // Write the updated baseline or report entries that no longer occur
+    const finishBaseline = async () => {
+        const current = getBaseline();
+        if (isUpdatingBaseline()) {
+            try {
+                await saveBaseline(getBaselinePath(), mergeBaseline(current, specsRun, observedBaseline));
+                console.log(`  Baseline updated: ${getBaselinePath()}`);
+            } catch (error) {
+                console.error('[cypress-console-spy] Error writing baseline file:', error.message);
+            }
+            return;
+        }
+        const stale = findStaleEntries(current, specsRun, observedBaseline, (message) =>
+            normalizeMessage(message, getNormalizationRules())
+        );
+        if (stale.length > 0) {
+            console.log(`  Stale baseline entries (${stale.length}), no longer occurring:`);
+            stale.forEach((entry) => {
+                console.log(`    • ${entry.spec} > ${entry.test}: ${entry.message}`);
+            });
+        }
+    };
+
+    // Source map resolver, created on first use from the sourceMapDirs option
+    let sourceMapResolver = null;
+    const getSourceMapResolver = () => {
+        if (!sourceMapResolver) {
+            const projectRoot = config?.projectRoot || process.cwd();
+            const dirs = [].concat(getDaemonOption('sourceMapDirs') || []);
+            sourceMapResolver = createSourceMapResolver(
+                dirs.map((dir) => path.resolve(projectRoot, dir)),
+                projectRoot
+            );
+        }
+        return sourceMapResolver;
+    };
+
+    // Append occurrence counts and affected tests per fingerprint to a spec log
+    const appendFingerprintSummary = async (specPath) => {
+        const logPath = getLogPath(specPath);
+        if (!loggedFingerprints.has(logPath)) return;
+        const groups = groupByFingerprint(filterStats(errorStats, { spec: specPath }).details);
+        if (groups.length === 0) return;
+        const lines = groups.map((group) => formatSummaryEntry(group, getLogFormat()));
+        await appendToLogFile(logPath, lines.join('\n') + '\n');
+    };
+
+    // Print the changes since the previous run and add this run to the history file in the log directory
+    const recordRunHistory = async () => {
+        if (getDaemonOption('history') === false) return;
+        const historyPath = path.join(getLogDir(), HISTORY_FILE_NAME);
+        try {
+            const history = loadHistory(historyPath);
+            const run = summarizeRun(errorStats, specsRun);
+            const previous = history.runs[history.runs.length - 1];
+            if (previous) {
+                formatRunDiff(diffRuns(previous, run), previous).forEach((line) => console.log(line));
+            }
+            await saveHistory(historyPath, history, run, getDaemonOption('historySize'));
+            debugLog('Run history saved to:', historyPath);
+        } catch (error) {
+            console.error('[cypress-console-spy] Error updating run history:', error.message);
+        }
+    };
+
+    // Statistics with the flaky console errors of retried tests
+    const withFlakyIssues = (stats) => ({ ...stats, flaky: findFlakyIssues(stats.details, stats.attempts) });
+
+    // Record and print the limits of a spec or run budget that were exceeded
+    const enforceBudget = (scope, stats, spec) => {
+        const violations = checkBudget(stats, getDaemonOption(`${scope}Budget`) || {}).map((violation) => ({
+            scope,
+            ...(spec ? { spec } : {}),
+            ...violation,
+        }));
+        violations.forEach((violation) => {
+            errorStats.budgetViolations.push(violation);
+            console.log(`[cypress-console-spy] BUDGET EXCEEDED: ${formatBudgetViolation(violation)}`);
+        });
+    };
+
+    // Write machine-readable reports for the statistics collected so far
+    const saveReports = async () => {
+        try {
+            const reportDir = getDaemonOption('reportDir') || getLogDir();
+            const written = await writeReports(reportDir, buildReport(withFlakyIssues(errorStats)), getReportFormats());
+            written.forEach((reportPath) => debugLog('Report saved to:', reportPath));
+            return written;
+        } catch (error) {
+            console.error('[cypress-console-spy] Error writing reports:', error.message);
+            return [];
+        }
+    };
+
+    // List global and shared whitelist rules that matched nothing during the run
+    const reportUnusedWhitelistRules = () => {
+        const globalWhitelist = parseConfigPatterns({ whitelist: getDaemonOption('whitelist') || [] }).whitelist;
+        const unused = findUnusedRules([...globalWhitelist, ...sharedWhitelist], whitelistRuleHits);
+        if (unused.length > 0) {
+            console.log(`  Unused whitelist rules (${unused.length}), matched nothing in this run:`);
+            unused.forEach((rule) => console.log(`    • ${rule}`));
+        }
+    };
+
     on('task', {
         // Process all console issues in a single batch call for better performance
-        async processConsoleBatch({ issues, testPath, logToFile }) {
+        async processConsoleBatch({ issues, testPath, testTitle, attempt = 0, checkedAttempts, failed, logToFile }) {
+            // Retries report every checked attempt, including clean ones, for flaky error detection
+            const attemptKey = `${testPath}\u0000${testTitle}`;
+            errorStats.attempts[attemptKey] = [
+                ...new Set([...(errorStats.attempts[attemptKey] || []), ...(checkedAttempts || []), attempt]),
+            ].sort((a, b) => a - b);
+            const testEnd = { spec: testPath, test: testTitle, attempt, failed: Boolean(failed) };
+
             if (!issues || issues.length === 0) {
+                await emitToReporters(reporters, 'onTestEnd', { ...testEnd, issues: [] });
                 return null;
             }
 
             debugLog(`Processing batch of ${issues.length} issues`);
 
+            // Fingerprints normally come from the client, compute them for older clients
+            const fingerprinted = issues.map((issue) =>
+                issue.fingerprint
+                    ? issue
+                    : { ...issue, ...fingerprintIssue(issue.type, issue.message, getNormalizationRules()) }
+            );
+
             // Update statistics
-            issues.forEach((issue) => {
-                const statKey = issue.type === 'error' ? 'errors' : 'warnings';
+            const recorded = fingerprinted.map((issue) => {
+                const statKey = isErrorType(issue.type) ? 'errors' : 'warnings';
                 errorStats[statKey]++;
-                errorStats.details.push({ type: issue.type, message: issue.message });
+                const detail = {
+                    type: issue.type,
+                    message: issue.message,
+                    fingerprint: issue.fingerprint,
+                    normalized: issue.normalized,
+                    spec: testPath,
+                    test: testTitle,
+                    attempt,
+                    timestamp: issue.timestamp || new Date().toISOString(),
+                    ...(issue.network ? { network: issue.network } : {}),
+                    ...(issue.stack ? { stack: issue.stack, source: issue.source } : {}),
+                    ...(issue.frame ? { frame: issue.frame } : {}),
+                    ...(issue.framework ? { framework: issue.framework } : {}),
+                };
+                errorStats.details.push(detail);
                 debugLog(`[${issue.type.toUpperCase()}] in console:`, issue.message);
+                return detail;
             });
+            if (failed) {
+                errorStats.failedTests.push({ spec: testPath, test: testTitle, attempt });
+            }
+            observeBaselineIssues(issues, testPath, testTitle);
 
-            // Log to file if enabled
+            // Log to file if enabled, each fingerprint once per log file (counts follow in the spec summary)
             if (logToFile && testPath) {
                 ensureLogDir();
-                const testName = path.basename(testPath, path.extname(testPath)) || 'unknown_test';
-                const logPath = path.join(getLogDir(), `${testName}.log`);
-                
-                const logContent = issues
-                    .map((issue) => `[${new Date().toISOString()}] [${issue.type.toUpperCase()}]: ${issue.message}`)
-                    .join('\n') + '\n';
+                const logPath = getLogPath(testPath);
+                const logged = loggedFingerprints.get(logPath) || new Set();
+                loggedFingerprints.set(logPath, logged);
                 
-                await appendToLogFile(logPath, logContent);
+                const newIssues = recorded.filter((issue) => {
+                    if (logged.has(issue.fingerprint)) return false;
+                    logged.add(issue.fingerprint);
+                    return true;
+                });
+                if (newIssues.length > 0) {
+                    const logContent = newIssues.map((issue) => formatLogEntry(issue, getLogFormat())).join('\n') + '\n';
+                    await appendToLogFile(logPath, logContent);
+                }
             }
 
-            // Log critical errors to console
-            const criticalErrors = issues.filter((issue) => issue.type === 'error');
-            if (criticalErrors.length > 0) {
-                console.log(`[cypress-console-spy] CRITICAL: ${criticalErrors.length} error(s) detected`);
-                criticalErrors.forEach((error) => {
-                    console.log(`  • ${error.message}`);
-                });
+            // Pass the recorded issues to the reporter sinks (terminal, file, webhook or custom)
+            for (const detail of recorded) {
+                await emitToReporters(reporters, 'onIssue', detail);
             }
+            await emitToReporters(reporters, 'onTestEnd', { ...testEnd, issues: recorded });
+
+            return null;
+        },
+
+        // Resolve stack traces to original sources through source maps on disk
+        resolveStackTraces({ stacks }) {
+            const resolver = getSourceMapResolver();
+            return (stacks || []).map((stack) => {
+                try {
+                    return resolver.resolveStack(stack);
+                } catch (error) {
+                    debugLog('Failed to resolve stack trace:', error.message);
+                    return { stack, topFrame: '' };
+                }
+            });
+        },
+
+        // Serve the shared whitelist file; RegExps are sent as "/source/flags" strings
+        getSharedWhitelist() {
+            return mapWhitelistPatterns(sharedWhitelist, stringifyPattern);
+        },
+
+        // Count whitelist hits of a test ({ hits: { [rule description]: count } })
+        recordWhitelistHits({ hits, issues, testPath, testTitle, attempt = 0 }) {
+            Object.entries(hits || {}).forEach(([rule, count]) => {
+                whitelistRuleHits[rule] = (whitelistRuleHits[rule] || 0) + count;
+            });
+            // Suppressed issues are kept apart from the counted ones for the HTML report, one entry per fingerprint
+            addWhitelisted(
+                errorStats.whitelisted,
+                (issues || []).map((issue) => ({ ...issue, spec: testPath, test: testTitle, attempt }))
+            );
+            return null;
+        },
 
+        // Print a loud warning for expired whitelist rules (once per rule per run)
+        reportExpiredWhitelistRules({ rules, spec, policy }) {
+            (rules || []).forEach((rule) => {
+                if (reportedExpiredRules.has(rule)) return;
+                reportedExpiredRules.add(rule);
+                const consequence = policy === 'fail' ? 'tests using it fail' : 'still applied';
+                console.warn(`[cypress-console-spy] WARNING: whitelist rule expired (${consequence}): ${rule}`);
+                console.warn(`  First seen in: ${spec}`);
+            });
             return null;
         },
 
@@ -85,8 +404,8 @@ module.exports = (on, config) => {
         logConsoleError({ message, type }) {
             const messageStr = Array.isArray(message) ? message.join(' ') : String(message);
             debugLog(`[${type.toUpperCase()}] in console:`, messageStr);
-            errorStats[type === 'error' ? 'errors' : 'warnings']++;
-            errorStats.details.push({ type, message: messageStr });
+            errorStats[isErrorType(type) ? 'errors' : 'warnings']++;
+            errorStats.details.push({ type, message: messageStr, timestamp: new Date().toISOString() });
             return null;
         },
 
@@ -100,10 +419,9 @@ module.exports = (on, config) => {
                 }
                 
                 ensureLogDir();
-                const testName = path.basename(testPath, path.extname(testPath)) || 'unknown_test';
-                const logPath = path.join(getLogDir(), `${testName}.log`);
+                const logPath = getLogPath(testPath);
                 const messageStr = Array.isArray(message) ? message.join(' ') : String(message);
-                const logMessage = `[${new Date().toISOString()}] [${type.toUpperCase()}]: ${messageStr}\n`;
+                const logMessage = formatLogEntry({ type, message: messageStr, spec: testPath }, getLogFormat()) + '\n';
                 
                 await appendToLogFile(logPath, logMessage);
                 return null;
@@ -113,21 +431,37 @@ module.exports = (on, config) => {
             }
         },
 
-        // Legacy: Notify about critical errors (kept for backward compatibility)
-        notifyCriticalError({ message, type }) {
+        // Legacy: Notify the reporter sinks about a critical error (kept for backward compatibility)
+        async notifyCriticalError({ message, type }) {
             const messageStr = Array.isArray(message) ? message.join(' ') : String(message);
-            console.log(`[cypress-console-spy] CRITICAL NOTIFICATION [${type.toUpperCase()}]:`, messageStr);
+            const timestamp = new Date().toISOString();
+            await emitToReporters(reporters, 'onIssue', { type, message: messageStr, timestamp });
             return null;
         },
 
-        // Get current error statistics
-        getErrorStats() {
-            return { ...errorStats };
+        // Get baseline entries for a spec (null when baseline mode is off)
+        getConsoleBaseline({ testPath }) {
+            const current = getBaseline();
+            if (!current && !isUpdatingBaseline()) {
+                return null;
+            }
+            return {
+                update: isUpdatingBaseline(),
+                tests: current?.specs[testPath] || {},
+            };
+        },
+
+        // Get current error statistics, optionally only for a spec and/or test ({ spec, test })
+        getErrorStats(filter) {
+            if (filter && (filter.spec || filter.test)) {
+                return withFlakyIssues(filterStats(errorStats, filter));
+            }
+            return withFlakyIssues(errorStats);
         },
 
         // Reset error statistics
         resetErrorStats() {
-            errorStats = { errors: 0, warnings: 0, details: [] };
+            errorStats = createStats();
             return null;
         },
 
@@ -139,12 +473,31 @@ module.exports = (on, config) => {
     });
 
     // Reset stats and ensure log directory before test run
-    on('before:run', () => {
-        errorStats = { errors: 0, warnings: 0, details: [] };
+    const beforeRun = async () => {
+        errorStats = createStats();
         logDirCreated = false;
+        runDirName = null;
+        loggedFingerprints = new Map();
+        reportedExpiredRules = new Set();
+        whitelistRuleHits = {};
+        sourceMapResolver = null;
+        baseline = undefined;
+        observedBaseline = {};
+        specsRun = [];
         
         // Ensure log directory exists at the start
         ensureLogDir();
+
+        // Delete run directories past logRetention
+        const retention = getDaemonOption('logRetention');
+        if (getDaemonOption('logPerRun') && retention) {
+            try {
+                const removed = await pruneRunDirs(getLogDir(), retention);
+                removed.forEach((dir) => debugLog('Removed old log directory:', dir));
+            } catch (error) {
+                console.error('[cypress-console-spy] Error removing old log directories:', error.message);
+            }
+        }
         
         // Clean up old global log file if exists
         const oldLogPath = path.join(process.cwd(), 'console_errors.log');
@@ -155,18 +508,63 @@ module.exports = (on, config) => {
                 debugLog('Failed to delete old log file:', e.message);
             }
         }
-    });
+    };
 
-    // Display summary after test run
-    on('after:run', () => {
-        console.log('\n[cypress-console-spy] Console Error Statistics:');
-        console.log(`  Errors: ${errorStats.errors}`);
-        console.log(`  Warnings: ${errorStats.warnings}`);
+    // Start the spec log from scratch with logBeforeSpec 'truncate' (default 'keep' appends)
+    const beforeSpec = async (spec) => {
+        if (!spec?.relative || getDaemonOption('logBeforeSpec') !== 'truncate') return;
+        const logPath = getLogPath(spec.relative);
+        loggedFingerprints.delete(logPath);
+        try {
+            await fs.promises.rm(logPath, { force: true });
+        } catch (error) {
+            console.error('[cypress-console-spy] Error truncating log file:', error.message);
+        }
+    };
+
+    // Refresh reports after each spec so partial runs still leave usable output
+    const afterSpec = async (spec) => {
+        if (spec?.relative) {
+            specsRun.push(spec.relative);
+            formatSpecSummary(errorStats, spec.relative).forEach((line) => console.log(line));
+            enforceBudget('spec', filterStats(errorStats, { spec: spec.relative }), spec.relative);
+            await appendFingerprintSummary(spec.relative);
+            await emitToReporters(reporters, 'onSpecEnd', {
+                spec: spec.relative,
+                stats: withFlakyIssues(filterStats(errorStats, { spec: spec.relative })),
+            });
+        }
+        await saveReports();
+    };
+
+    // Display summary and write final reports after test run
+    const afterRun = async () => {
+        enforceBudget('run', errorStats);
+        const reportPaths = await saveReports();
+        console.log('');
+        formatRunSummary(withFlakyIssues(errorStats)).forEach((line) => console.log(line));
         if (debugMode && errorStats.details.length > 0) {
             console.log('  Details:');
             errorStats.details.forEach((detail, index) => {
-                console.log(`    ${index + 1}. [${detail.type}] ${detail.message}`);
+                const location = detail.spec ? ` ${detail.spec} > ${detail.test} (attempt ${detail.attempt ?? 0})` : '';
+                console.log(`    ${index + 1}. [${detail.type}]${location} ${detail.message}`);
             });
         }
-    });
+        reportPaths.forEach((reportPath) => console.log(`  Report: ${reportPath}`));
+        reportUnusedWhitelistRules();
+        await recordRunHistory();
+        await finishBaseline();
+        await emitToReporters(reporters, 'onRunEnd', { stats: withFlakyIssues(errorStats), reportPaths });
+    };
+
+    // Cypress keeps a single handler per event (other than 'task'), so a later on('after:spec', ...) replaces
+    // ours. Users with their own handlers pass registerEvents: false and call the returned ones from theirs.
+    const handlers = { beforeRun, beforeSpec, afterSpec, afterRun };
+    if (options.registerEvents !== false) {
+        on('before:run', beforeRun);
+        on('before:spec', beforeSpec);
+        on('after:spec', afterSpec);
+        on('after:run', afterRun);
+    }
+    return handlers;
 };
\ No newline at end of file
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { parseStack, formatFrame, formatStack } = require('./stack');
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes one Base64 VLQ mapping segment into its numeric fields
+ * @param {string} segment - Encoded segment, e.g. "AAgBC"
+ * @returns {number[]} - Decoded (relative) values
+ */
+const decodeVlq = (segment) => {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+        let digit = BASE64_CHARS.indexOf(char);
+        if (digit === -1) {
+            break;
+        }
+        const hasContinuation = digit & 32;
+        digit &= 31;
+        value += digit << shift;
+        if (hasContinuation) {
+            shift += 5;
+        } else {
+            const isNegative = value & 1;
+            value >>= 1;
+            values.push(isNegative ? -value : value);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+};
+
+/**
+ * Decodes the "mappings" field of a source map into absolute segments per generated line
+ * @param {string} mappings - Encoded mappings
+ * @returns {Array<Array<number[]>>} - [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex] per segment
+ */
+const decodeMappings = (mappings) => {
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+    return mappings.split(';').map((line) => {
+        let generatedColumn = 0;
+        return line
+            .split(',')
+            .filter(Boolean)
+            .map((segment) => {
+                const fields = decodeVlq(segment);
+                generatedColumn += fields[0] || 0;
+                if (fields.length < 4) {
+                    return [generatedColumn];
+                }
+                sourceIndex += fields[1];
+                sourceLine += fields[2];
+                sourceColumn += fields[3];
+                if (fields.length > 4) {
+                    nameIndex += fields[4];
+                    return [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex];
+                }
+                return [generatedColumn, sourceIndex, sourceLine, sourceColumn];
+            });
+    });
+};
+
+/**
+ * Makes source paths readable: "webpack://app/./src/App.jsx" -> "src/App.jsx",
+ * relative paths are resolved against the map location and shown relative to the project
+ * @param {string} source - Source path from the map (including sourceRoot)
+ * @param {string} mapDir - Directory of the source map
+ * @param {string} projectRoot - Project root directory
+ * @returns {string}
+ */
+const cleanSourcePath = (source, mapDir, projectRoot) => {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source)) {
+        return source.replace(/^webpack:\/\/[^/]*\//, '').replace(/^\.\//, '');
+    }
+    return path.relative(projectRoot, path.resolve(mapDir, source));
+};
+
+/**
+ * Creates a resolver that maps bundled stack frames to original sources using
+ * source maps read from disk. Frame URLs are mapped to files by their path below
+ * one of the given directories (falling back to the file name).
+ * @param {string[]} sourceMapDirs - Directories containing the served bundles and their .map files
+ * @param {string} [projectRoot] - Project root, original source paths are shown relative to it
+ * @returns {{ resolveStack: function(string): { stack: string, topFrame: string } }}
+ */
+const createSourceMapResolver = (sourceMapDirs, projectRoot = process.cwd()) => {
+    // Parsed maps per bundle URL (null when no map could be found)
+    const cache = new Map();
+
+    const findBundleFile = (url) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(url).pathname);
+        } catch {
+            pathname = url;
+        }
+        for (const dir of sourceMapDirs) {
+            for (const candidate of [path.join(dir, pathname), path.join(dir, path.basename(pathname))]) {
+                if (fs.existsSync(candidate) || fs.existsSync(`${candidate}.map`)) {
+                    return candidate;
+                }
+            }
+        }
+        return null;
+    };
+
+    // Reads the map referenced by the bundle (inline or file), or "<bundle>.map"
+    const readSourceMap = (bundleFile) => {
+        const readMapFile = (mapFile) => ({
+            rawMap: JSON.parse(fs.readFileSync(mapFile, 'utf8')),
+            mapDir: path.dirname(mapFile),
+        });
+        if (fs.existsSync(bundleFile)) {
+            const content = fs.readFileSync(bundleFile, 'utf8');
+            const match = /\/\/[#@] sourceMappingURL=(\S+)\s*$/.exec(content);
+            if (match) {
+                const inline = /^data:application\/json;(?:charset=[^;]+;)?base64,(.+)$/.exec(match[1]);
+                if (inline) {
+                    return {
+                        rawMap: JSON.parse(Buffer.from(inline[1], 'base64').toString('utf8')),
+                        mapDir: path.dirname(bundleFile),
+                    };
+                }
+                const mapFile = path.resolve(path.dirname(bundleFile), match[1]);
+                if (fs.existsSync(mapFile)) {
+                    return readMapFile(mapFile);
+                }
+            }
+        }
+        if (fs.existsSync(`${bundleFile}.map`)) {
+            return readMapFile(`${bundleFile}.map`);
+        }
+        return null;
+    };
+
+    const getSourceMap = (url) => {
+        if (!cache.has(url)) {
+            let sourceMap = null;
+            try {
+                const bundleFile = findBundleFile(url);
+                const { rawMap, mapDir } = (bundleFile && readSourceMap(bundleFile)) || {};
+                if (rawMap && typeof rawMap.mappings === 'string') {
+                    sourceMap = {
+                        sources: (rawMap.sources || []).map((source) =>
+                            cleanSourcePath((rawMap.sourceRoot || '') + source, mapDir, projectRoot)
+                        ),
+                        lines: decodeMappings(rawMap.mappings),
+                    };
+                }
+            } catch (error) {
+                console.error('[cypress-console-spy] Error reading source map for', url, error.message);
+            }
+            cache.set(url, sourceMap);
+        }
+        return cache.get(url);
+    };
+
+    const resolveFrame = (frame) => {
+        const sourceMap = getSourceMap(frame.url);
+        const segments = sourceMap?.lines[frame.line - 1];
+        if (!segments) {
+            return frame;
+        }
+        let match = null;
+        for (const segment of segments) {
+            if (segment[0] > frame.column - 1) break;
+            match = segment;
+        }
+        if (!match || match.length < 4) {
+            return frame;
+        }
+        return {
+            functionName: frame.functionName,
+            url: sourceMap.sources[match[1]] || frame.url,
+            line: match[2] + 1,
+            column: match[3] + 1,
+        };
+    };
+
+    return {
+        resolveStack(stack) {
+            const frames = parseStack(stack).map(resolveFrame);
+            return {
+                stack: formatStack(frames),
+                topFrame: frames.length > 0 ? formatFrame(frames[0]) : '',
+            };
+        },
+    };
+};
+
+module.exports = {
+    decodeVlq,
+    decodeMappings,
+    createSourceMapResolver,
+};
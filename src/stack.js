@@ -0,0 +1,67 @@
+// Frames from the Cypress runner, spies and this plugin are not useful to users
+const INTERNAL_FRAME_PATTERNS = [/\/__cypress\//, /cypress_runner/, /__cypress_/];
+
+// Maximum number of frames kept per issue
+const MAX_FRAMES = 10;
+
+// "at fn (url:line:col)" or "at url:line:col" (Chromium)
+const CHROME_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+// "fn@url:line:col" (Firefox, WebKit)
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parses a stack trace string into frames, skipping lines that are not frames
+ * @param {string} stack - Stack trace (Error.stack format)
+ * @returns {Array<{functionName: string, url: string, line: number, column: number}>} - Parsed frames
+ */
+const parseStack = (stack) => {
+    if (!stack || typeof stack !== 'string') {
+        return [];
+    }
+    return stack
+        .split('\n')
+        .map((line) => CHROME_FRAME.exec(line) || GECKO_FRAME.exec(line))
+        .filter(Boolean)
+        .map(([, functionName, url, line, column]) => ({
+            functionName: functionName || '',
+            url,
+            line: Number(line),
+            column: Number(column),
+        }));
+};
+
+/**
+ * Formats a frame as "fn (url:line:col)" or "url:line:col"
+ * @param {Object} frame - Parsed frame
+ * @returns {string}
+ */
+const formatFrame = (frame) => {
+    const location = `${frame.url}:${frame.line}:${frame.column}`;
+    return frame.functionName ? `${frame.functionName} (${location})` : location;
+};
+
+/**
+ * Formats frames as a stack trace string ("    at ..." per line)
+ * @param {Array<Object>} frames - Parsed frames
+ * @returns {string}
+ */
+const formatStack = (frames) => frames.map((frame) => `    at ${formatFrame(frame)}`).join('\n');
+
+/**
+ * Keeps only application frames of a stack trace
+ * @param {string} stack - Raw stack trace
+ * @returns {string} - Cleaned stack trace, empty if no application frames remain
+ */
+const cleanStack = (stack) =>
+    formatStack(
+        parseStack(stack)
+            .filter((frame) => !INTERNAL_FRAME_PATTERNS.some((pattern) => pattern.test(frame.url)))
+            .slice(0, MAX_FRAMES)
+    );
+
+module.exports = {
+    parseStack,
+    formatFrame,
+    formatStack,
+    cleanStack,
+};
@@ -0,0 +1,283 @@
+// Issue types counted as warnings: warnings, framework development warnings and informational console output
+const WARNING_TYPES = ['warn', 'framework', 'log', 'info', 'debug', 'trace'];
+
+/**
+ * Checks whether an issue type counts as an error (warnings and informational messages do not)
+ * @param {string} type - Issue type
+ * @returns {boolean}
+ */
+const isErrorType = (type) => !WARNING_TYPES.includes(type);
+
+/**
+ * Creates empty error statistics. `attempts` lists the checked attempts per test:
+ * { [`${spec}\u0000${test}`]: number[] }.
+ * `whitelisted` holds the issues suppressed by whitelist rules, which are not counted.
+ * @returns {Object} - { errors, warnings, details, failedTests, budgetViolations, attempts, whitelisted }
+ */
+const createStats = () => ({
+    errors: 0,
+    warnings: 0,
+    details: [],
+    failedTests: [],
+    budgetViolations: [],
+    attempts: {},
+    whitelisted: [],
+});
+
+/**
+ * Adds whitelisted issues to an aggregated list with one entry per spec, test, attempt, rule and fingerprint.
+ * An entry keeps its first occurrence as the sample (message, timestamp, stack) and counts the occurrences.
+ * @param {Array<Object>} whitelisted - Aggregated entries, extended in place
+ * @param {Array<Object>} issues - Whitelisted issues; entries that are already aggregated carry a `count`
+ * @returns {Array<Object>} - The aggregated list
+ */
+const addWhitelisted = (whitelisted, issues = []) => {
+    const keyOf = (issue) => {
+        const fingerprint = issue.fingerprint || `${issue.type}\u0000${issue.message}`;
+        return [issue.spec, issue.test, issue.attempt ?? 0, issue.rule, fingerprint].join('\u0000');
+    };
+    issues.forEach((issue) => {
+        const key = keyOf(issue);
+        const entry = whitelisted.find((existing) => keyOf(existing) === key);
+        if (entry) {
+            entry.count += issue.count ?? 1;
+        } else {
+            whitelisted.push({ ...issue, count: issue.count ?? 1 });
+        }
+    });
+    return whitelisted;
+};
+
+/**
+ * Returns the statistics of the issues matching a spec and/or test title
+ * @param {Object} stats - Error statistics
+ * @param {Object} [filter] - { spec, test }; omitted fields match everything
+ * @returns {Object} - Filtered statistics with recomputed counts
+ */
+const filterStats = (stats, filter = {}) => {
+    const matches = (entry) =>
+        (!filter.spec || entry.spec === filter.spec) && (!filter.test || entry.test === filter.test);
+    const details = stats.details.filter(matches);
+    return {
+        errors: details.filter((detail) => isErrorType(detail.type)).length,
+        warnings: details.filter((detail) => !isErrorType(detail.type)).length,
+        details,
+        failedTests: stats.failedTests.filter(matches),
+        budgetViolations: (stats.budgetViolations || []).filter(
+            (violation) => !filter.spec || violation.spec === filter.spec
+        ),
+        attempts: stats.attempts || {},
+        whitelisted: (stats.whitelisted || []).filter(matches),
+    };
+};
+
+/**
+ * Finds console errors that occurred in some checked attempts of a retried test but not in all of them.
+ * Attempts whose console check never ran (e.g. failed on an assertion first) are not compared.
+ * @param {Array<Object>} details - Recorded issues
+ * @param {Object} [checkedAttempts] - Checked attempts per test: { [`${spec}\u0000${test}`]: number[] }
+ * @returns {Array<{spec: string, test: string, fingerprint: string, type: string, normalized: string,
+ *     attempts: number[], checkedAttempts: number[], totalAttempts: number}>}
+ */
+const findFlakyIssues = (details, checkedAttempts = {}) => {
+    const groups = new Map();
+    details
+        .filter((detail) => detail.fingerprint && isErrorType(detail.type))
+        .forEach((detail) => {
+            const key = `${detail.spec}\u0000${detail.test}\u0000${detail.fingerprint}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    spec: detail.spec,
+                    test: detail.test,
+                    fingerprint: detail.fingerprint,
+                    type: detail.type,
+                    normalized: detail.normalized || detail.message,
+                    attempts: new Set(),
+                });
+            }
+            groups.get(key).attempts.add(detail.attempt ?? 0);
+        });
+    return [...groups.values()]
+        .map((group) => {
+            const attempts = [...group.attempts].sort((a, b) => a - b);
+            // Attempts with the error were checked too, even if an older client did not say so
+            const checked = [...new Set([...(checkedAttempts[`${group.spec}\u0000${group.test}`] || []), ...attempts])]
+                .sort((a, b) => a - b);
+            return { ...group, attempts, checkedAttempts: checked, totalAttempts: checked.length };
+        })
+        .filter((group) => group.attempts.length < group.totalAttempts);
+};
+
+/**
+ * Compares error and warning counts with a budget
+ * @param {Object} stats - Error statistics (usually filtered to a spec)
+ * @param {Object} [budget] - { maxErrors, maxWarnings }; omitted limits are not checked
+ * @returns {Array<{limit: string, count: number, max: number}>} - Exceeded limits
+ */
+const checkBudget = (stats, budget = {}) =>
+    [
+        { limit: 'maxErrors', count: stats.errors },
+        { limit: 'maxWarnings', count: stats.warnings },
+    ]
+        .filter(({ limit, count }) => budget[limit] !== undefined && count > budget[limit])
+        .map(({ limit, count }) => ({ limit, count, max: budget[limit] }));
+
+/**
+ * Describes a budget violation for the terminal and reports
+ * @param {Object} violation - { scope, spec, limit, count, max }
+ * @returns {string}
+ */
+const formatBudgetViolation = ({ scope, spec, limit, count, max }) =>
+    `${scope === 'spec' ? spec : 'run'}: ${count} ${limit === 'maxErrors' ? 'error(s)' : 'warning(s)'}, ` +
+    `${scope}Budget.${limit} is ${max}`;
+
+/**
+ * Groups issues by spec, then by test, counting errors and warnings
+ * @param {Array<Object>} details - Recorded issues
+ * @returns {Array<{spec: string, errors: number, warnings: number, tests: Array<Object>}>}
+ */
+const groupBySpec = (details) => {
+    const specs = new Map();
+    details.forEach((detail) => {
+        const specKey = detail.spec || 'unknown spec';
+        if (!specs.has(specKey)) {
+            specs.set(specKey, { spec: specKey, errors: 0, warnings: 0, tests: new Map() });
+        }
+        const spec = specs.get(specKey);
+        const testKey = detail.test || 'unknown test';
+        if (!spec.tests.has(testKey)) {
+            spec.tests.set(testKey, { test: testKey, errors: 0, warnings: 0 });
+        }
+        const statKey = isErrorType(detail.type) ? 'errors' : 'warnings';
+        spec[statKey]++;
+        spec.tests.get(testKey)[statKey]++;
+    });
+    return [...specs.values()].map((spec) => ({ ...spec, tests: [...spec.tests.values()] }));
+};
+
+/**
+ * Groups issues by fingerprint, most frequent first. Issues without a fingerprint
+ * are grouped by their exact message.
+ * @param {Array<Object>} details - Recorded issues
+ * @returns {Array<{fingerprint: string, type: string, normalized: string, message: string, count: number,
+ *     firstSeen: string, tests: Array<{spec: string, test: string}>}>}
+ */
+const groupByFingerprint = (details) => {
+    const groups = new Map();
+    details.forEach((detail) => {
+        const key = detail.fingerprint || `${detail.type}\u0000${detail.message}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                fingerprint: detail.fingerprint || '',
+                type: detail.type,
+                normalized: detail.normalized || detail.message,
+                message: detail.message,
+                count: 0,
+                firstSeen: detail.timestamp,
+                tests: [],
+            });
+        }
+        const group = groups.get(key);
+        group.count++;
+        if (detail.timestamp && (!group.firstSeen || detail.timestamp < group.firstSeen)) {
+            group.firstSeen = detail.timestamp;
+        }
+        if (!group.tests.some((test) => test.spec === detail.spec && test.test === detail.test)) {
+            group.tests.push({ spec: detail.spec, test: detail.test });
+        }
+    });
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Renders rows as a left-aligned text table with a header row
+ * @param {string[]} header - Column titles
+ * @param {Array<Array<string|number>>} rows - Table rows
+ * @param {string} [indent] - Prefix for every line
+ * @returns {string[]} - Table lines
+ */
+const formatTable = (header, rows, indent = '  ') => {
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map((row) => String(row[column]).length))
+    );
+    const formatRow = (row) =>
+        indent + row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+    return [formatRow(header), formatRow(widths.map((width) => '-'.repeat(width))), ...rows.map(formatRow)];
+};
+
+/**
+ * Formats the grouped end-of-run summary: totals, a per spec/test table and the issues per fingerprint
+ * @param {Object} stats - Error statistics
+ * @returns {string[]} - Summary lines
+ */
+const formatRunSummary = (stats) => {
+    const lines = [
+        '[cypress-console-spy] Console Error Statistics:',
+        `  Errors: ${stats.errors}`,
+        `  Warnings: ${stats.warnings}`,
+    ];
+    if (stats.details.length === 0) {
+        return lines;
+    }
+    const rows = [];
+    groupBySpec(stats.details).forEach((spec) => {
+        rows.push([spec.spec, '', spec.errors, spec.warnings]);
+        spec.tests.forEach((test) => rows.push(['', test.test, test.errors, test.warnings]));
+    });
+    lines.push('', ...formatTable(['Spec', 'Test', 'Errors', 'Warnings'], rows));
+    lines.push('', '  Unique issues (by fingerprint):');
+    groupByFingerprint(stats.details).forEach((group) => {
+        lines.push(`    ${group.count}× [${group.type}] ${group.normalized}`);
+        group.tests.forEach((test) => lines.push(`        ${test.spec} > ${test.test}`));
+    });
+    const flaky = stats.flaky || [];
+    if (flaky.length > 0) {
+        lines.push('', `  Flaky console errors (${flaky.length}), not seen in every attempt:`);
+        flaky.forEach((issue) => {
+            const attempts = issue.attempts.map((attempt) => attempt + 1).join(', ');
+            const checked = issue.checkedAttempts.map((attempt) => attempt + 1).join(', ');
+            lines.push(`    [${issue.type}] ${issue.normalized}`);
+            lines.push(
+                `        ${issue.spec} > ${issue.test} (seen in attempt(s) ${attempts} of checked attempt(s) ${checked})`
+            );
+        });
+    }
+    const violations = stats.budgetViolations || [];
+    if (violations.length > 0) {
+        lines.push('', `  Budgets exceeded (${violations.length}):`);
+        violations.forEach((violation) => lines.push(`    • ${formatBudgetViolation(violation)}`));
+    }
+    return lines;
+};
+
+/**
+ * Formats a short summary of one spec (empty when the spec had no issues)
+ * @param {Object} stats - Error statistics
+ * @param {string} spec - Spec path relative to the project root
+ * @returns {string[]} - Summary lines
+ */
+const formatSpecSummary = (stats, spec) => {
+    const specStats = filterStats(stats, { spec });
+    if (specStats.details.length === 0) {
+        return [];
+    }
+    const tests = groupBySpec(specStats.details)[0].tests;
+    return [
+        `[cypress-console-spy] ${spec}: ${specStats.errors} error(s), ${specStats.warnings} warning(s) in ${tests.length} test(s)`,
+        ...tests.map((test) => `  • ${test.test}: ${test.errors} error(s), ${test.warnings} warning(s)`),
+    ];
+};
+
+module.exports = {
+    isErrorType,
+    createStats,
+    addWhitelisted,
+    filterStats,
+    groupBySpec,
+    groupByFingerprint,
+    findFlakyIssues,
+    checkBudget,
+    formatBudgetViolation,
+    formatRunSummary,
+    formatSpecSummary,
+};
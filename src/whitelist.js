@@ -0,0 +1,105 @@
+/**
+ * Converts a whitelist entry to a rule object. Strings and RegExps become { pattern }.
+ * @param {string|RegExp|Object} entry - Whitelist entry
+ * @returns {Object} - Rule ({ pattern, type, source, frame, specGlob, maxOccurrences, expires, reason })
+ */
+const toRule = (entry) =>
+    entry && typeof entry === 'object' && !(entry instanceof RegExp) ? entry : { pattern: entry };
+
+/**
+ * Matches text against a pattern (string: partial match, RegExp: test)
+ * @param {string} text - Text to check
+ * @param {string|RegExp} pattern - Pattern
+ * @returns {boolean}
+ */
+const matchesText = (text, pattern) => {
+    if (typeof pattern === 'string') {
+        return text.includes(pattern);
+    }
+    // Global and sticky RegExps keep state between test() calls
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+};
+
+/**
+ * Converts a glob (supports **, * and ?) to a RegExp matching the whole path
+ * @param {string} glob - Glob pattern, e.g. "cypress/e2e/legacy/**"
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Checks whether a rule is past its expiry date. Plain dates ("2025-06-30") are valid through that day.
+ * @param {Object} rule - Whitelist rule
+ * @param {Date} [now] - Current date
+ * @returns {boolean}
+ */
+const isExpired = (rule, now = new Date()) => {
+    if (!rule.expires) {
+        return false;
+    }
+    const expires = new Date(rule.expires);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(rule.expires))) {
+        expires.setUTCDate(expires.getUTCDate() + 1);
+    }
+    return expires.getTime() <= now.getTime();
+};
+
+/**
+ * Checks whether an issue matches the scope and pattern of a rule (limits and expiry are not checked)
+ * @param {Object} rule - Whitelist rule
+ * @param {Object} issue - Issue ({ type, frame })
+ * @param {Object} context - { message, spec, sourceUrl }
+ * @returns {boolean}
+ */
+const matchesRule = (rule, issue, { message, spec, sourceUrl }) => {
+    if (rule.pattern !== undefined && !matchesText(message, rule.pattern)) return false;
+    if (rule.type && ![].concat(rule.type).includes(issue.type)) return false;
+    if (rule.source && !(sourceUrl && matchesText(sourceUrl, rule.source))) return false;
+    if (rule.frame && !(issue.frame && matchesText(issue.frame, rule.frame))) return false;
+    if (rule.specGlob && !(spec && globToRegExp(rule.specGlob).test(spec))) return false;
+    return true;
+};
+
+/**
+ * Describes a rule for warnings and failure messages
+ * @param {string|RegExp|Object} entry - Whitelist entry
+ * @returns {string}
+ */
+const describeRule = (entry) => {
+    const rule = toRule(entry);
+    const parts = [rule.pattern !== undefined ? String(rule.pattern) : '(any message)'];
+    if (rule.type) parts.push(`type: ${[].concat(rule.type).join('|')}`);
+    if (rule.source) parts.push(`source: ${rule.source}`);
+    if (rule.frame) parts.push(`frame: ${rule.frame}`);
+    if (rule.specGlob) parts.push(`specs: ${rule.specGlob}`);
+    if (rule.expires) parts.push(`expires: ${rule.expires}`);
+    if (rule.reason) parts.push(`reason: ${rule.reason}`);
+    return parts.join(', ');
+};
+
+module.exports = {
+    toRule,
+    matchesText,
+    globToRegExp,
+    isExpired,
+    matchesRule,
+    describeRule,
+};
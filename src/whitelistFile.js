@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const { describeRule } = require('./whitelist');
+
+/**
+ * Reads a shared whitelist file. JSON files and JS modules (.js/.cjs) may contain
+ * an array of whitelist entries or an object with a `whitelist` array.
+ * @param {string} filePath - Absolute path of the whitelist file
+ * @returns {Array} - Whitelist entries as written in the file
+ */
+const loadWhitelistFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`not found: ${filePath}`);
+    }
+    let content;
+    if (['.js', '.cjs'].includes(path.extname(filePath))) {
+        // Drop the cached module so edits are picked up when Cypress reloads the config
+        delete require.cache[require.resolve(filePath)];
+        content = require(filePath);
+    } else {
+        content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    const whitelist = Array.isArray(content) ? content : content?.whitelist;
+    if (!Array.isArray(whitelist)) {
+        throw new Error(`must contain an array or { whitelist: [...] }: ${filePath}`);
+    }
+    return whitelist;
+};
+
+/**
+ * Lists whitelist entries that never matched an issue
+ * @param {Array} entries - Whitelist entries (parsed patterns)
+ * @param {Object} hits - Hit counts per rule description: { [describeRule(entry)]: number }
+ * @returns {string[]} - Descriptions of the unused rules
+ */
+const findUnusedRules = (entries, hits) => [
+    ...new Set(entries.map(describeRule).filter((description) => !hits[description])),
+];
+
+module.exports = {
+    loadWhitelistFile,
+    findUnusedRules,
+};
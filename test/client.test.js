@@ -0,0 +1,283 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createFakeCypress } = require('./helpers/fakeCypress');
+
+// Stub API answering /api/status/<code> with that status
+let stub;
+let baseUrl;
+
+before(async () => {
+    stub = http.createServer((req, res) => {
+        res.writeHead(Number(req.url.split('/status/')[1]) || 200);
+        res.end();
+    });
+    await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${stub.address().port}`;
+});
+
+after(() => new Promise((resolve) => stub.close(resolve)));
+
+test('records requests the application starts before window:load', async (t) => {
+    const runtime = createFakeCypress({ config: { trackNetwork: true, commandLog: false, logToFile: false } });
+    t.after(runtime.cleanup);
+
+    describe('app', () => {
+        it('boots', () => {
+            // What cy.visit does: a new window whose scripts call the API while the page loads
+            cy.wrap(null).then(() => {
+                const win = runtime.createWindow();
+                win.location.href = `${baseUrl}/`;
+                win.fetch = (input, init) => fetch(new URL(input, win.location.href), init);
+                runtime.setWindow(win);
+                runtime.emit('window:before:load', win);
+                return win.fetch('/api/status/500').then(() => runtime.emit('window:load', win));
+            });
+        });
+    });
+
+    const error = await runtime.runTest('boots');
+    assert.ok(error, 'the test should fail on the 500 response');
+    assert.match(error.message, /GET http:\/\/127\.0\.0\.1:\d+\/api\/status\/500 500 Internal Server Error/);
+});
+
+test('tracks each page loaded into the same application window', async (t) => {
+    const runtime = createFakeCypress({
+        config: {
+            trackNetwork: true,
+            eventsToTrack: ['unhandledrejection', 'securitypolicyviolation'],
+            commandLog: false,
+            logToFile: false,
+        },
+    });
+    t.after(runtime.cleanup);
+
+    describe('app', () => {
+        it('navigates', () => {
+            // The AUT iframe keeps its window object across cy.visit calls; each page brings a new document
+            // without the listeners and patched fetch of the previous one
+            const load = (win, url) => {
+                Object.assign(win, runtime.createWindow());
+                win.location.href = url;
+                win.fetch = (input, init) => fetch(new URL(input, win.location.href), init);
+                runtime.emit('window:before:load', win);
+            };
+            cy.window().then((win) => {
+                load(win, `${baseUrl}/first`);
+                runtime.emit('window:load', win);
+                load(win, `${baseUrl}/second`);
+                return win.fetch('/api/status/500').then(() => {
+                    win.dispatchEvent('error', { message: 'Uncaught TypeError: render failed' });
+                    win.dispatchEvent('unhandledrejection', { reason: new Error('Save rejected') });
+                    win.dispatchEvent('securitypolicyviolation', {
+                        violatedDirective: 'script-src',
+                        blockedURI: 'inline',
+                    });
+                    runtime.emit('window:load', win);
+                });
+            });
+        });
+    });
+
+    const error = await runtime.runTest('navigates');
+    assert.ok(error, 'the test should fail on the issues of the second page');
+    assert.match(error.message, /GET http:\/\/127\.0\.0\.1:\d+\/api\/status\/500 500 Internal Server Error/);
+    assert.match(error.message, /Uncaught TypeError: render failed/);
+    assert.match(error.message, /• Save rejected/);
+    assert.match(error.message, /CSP violation: script-src blocked inline/);
+});
+
+test('uses the bundled top frame without a resolveStackTraces task when no sourceMapDirs are set', async (t) => {
+    const runtime = createFakeCypress({ config: { commandLog: false, logToFile: false, failOnSpy: false } });
+    t.after(runtime.cleanup);
+    let resolveTasks = 0;
+    const resolveStackTraces = runtime.tasks.resolveStackTraces;
+    runtime.tasks.resolveStackTraces = (arg) => {
+        resolveTasks++;
+        return resolveStackTraces(arg);
+    };
+    const batches = [];
+    const processConsoleBatch = runtime.tasks.processConsoleBatch;
+    runtime.tasks.processConsoleBatch = (arg) => {
+        batches.push(arg);
+        return processConsoleBatch(arg);
+    };
+
+    describe('app', () => {
+        it('logs an error', () => {
+            cy.window().then((win) => win.console.error('Failed to save'));
+        });
+    });
+
+    assert.equal(await runtime.runTest('logs an error'), null);
+    assert.equal(resolveTasks, 0);
+    assert.match(batches[0].issues[0].source, /client\.test\.js:\d+:\d+/);
+});
+
+test('counts whitelist hits of tests stopped by failFast', async (t) => {
+    const whitelist = ['Known noise'];
+    const runtime = createFakeCypress({
+        config: { failFast: true, whitelist, commandLog: false, logToFile: false },
+        daemon: { whitelist },
+    });
+    t.after(runtime.cleanup);
+
+    describe('app', () => {
+        it('fails fast', () => {
+            cy.window().then((win) => {
+                win.console.error('Known noise');
+                win.console.error('Boom');
+            });
+        });
+    });
+
+    const error = await runtime.runTest('fails fast');
+    assert.match(error.message, /Console errors detected during .* \(1\):\n• Boom/);
+    const stats = runtime.tasks.getErrorStats();
+    assert.deepEqual(
+        stats.whitelisted.map(({ message, rule }) => ({ message, rule })),
+        [{ message: 'Known noise', rule: 'Known noise' }]
+    );
+
+    const output = [];
+    t.mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+    await runtime.server.afterRun();
+    assert.ok(!output.some((line) => line.includes('Unused whitelist rules')), output.join('\n'));
+});
+
+test('attributes failFast errors surfacing after the last command to that command', async (t) => {
+    const runtime = createFakeCypress({ config: { failFast: true, commandLog: false, logToFile: false } });
+    t.after(runtime.cleanup);
+    // A click whose handler logs the error a moment after the command ended
+    let appWindow;
+    Cypress.Commands.add('click', (selector) => {
+        setTimeout(() => appWindow.console.error(`Failed to save (${selector})`), 0);
+    });
+
+    describe('form', () => {
+        it('saves', () => {
+            cy.window().then((win) => {
+                appWindow = win;
+            });
+            cy.click('#save');
+        });
+    });
+
+    const error = await runtime.runTest('saves');
+    assert.equal(error.message, "Console errors detected during cy.click('#save') (1):\n• Failed to save (#save)");
+});
+
+test('keeps the console method type of React warnings in e2e tests', async (t) => {
+    const runtime = createFakeCypress({
+        config: {
+            methodsToTrack: ['error', 'warn'],
+            whitelist: [{ pattern: 'Warning: Each child', type: 'error' }],
+            commandLog: false,
+            logToFile: false,
+        },
+    });
+    t.after(runtime.cleanup);
+
+    describe('list', () => {
+        it('renders', () => {
+            cy.window().then((win) => {
+                win.console.error('Warning: Each child in a list should have a unique "key" prop.');
+                win.console.warn('Warning: componentWillMount has been renamed');
+            });
+        });
+    });
+
+    assert.equal(await runtime.runTest('renders'), null);
+    assert.deepEqual(
+        runtime.tasks.getErrorStats().whitelisted.map(({ type, rule }) => ({ type, rule })),
+        [{ type: 'error', rule: 'Warning: Each child, type: error' }]
+    );
+});
+
+test('aggregates repeated whitelisted issues into one entry with a count', async (t) => {
+    const runtime = createFakeCypress({
+        config: { whitelist: ['Known noise'], commandLog: false, logToFile: false },
+    });
+    t.after(runtime.cleanup);
+
+    describe('app', () => {
+        it('polls', () => {
+            cy.window().then((win) => {
+                for (let i = 0; i < 3; i++) win.console.error('Known noise');
+            });
+        });
+    });
+
+    assert.equal(await runtime.runTest('polls'), null);
+    await runtime.runTest('polls');
+    const whitelisted = runtime.tasks.getErrorStats().whitelisted;
+    assert.equal(whitelisted.length, 1);
+    assert.equal(whitelisted[0].count, 6);
+    assert.equal(whitelisted[0].message, 'Known noise');
+    assert.ok(whitelisted[0].stack);
+});
+
+test('records framework warnings in component tests unless warnings fail', async (t) => {
+    const warnings = [
+        'Warning: Each child in a list should have a unique "key" prop.',
+        '[Vue warn]: Missing required prop: "title"',
+    ];
+    const run = async (config) => {
+        const runtime = createFakeCypress({
+            testingType: 'component',
+            config: { commandLog: false, logToFile: false, ...config },
+        });
+        t.after(runtime.cleanup);
+        t.mock.method(console, 'warn', () => {});
+        describe('list', () => {
+            it('mounts', () => {
+                cy.window().then((win) => {
+                    win.console.error(warnings[0]);
+                    win.console.warn(warnings[1]);
+                });
+            });
+        });
+        const error = await runtime.runTest('mounts');
+        return { error, stats: runtime.tasks.getErrorStats() };
+    };
+
+    const recorded = await run({});
+    assert.equal(recorded.error, null);
+    assert.deepEqual(recorded.stats.details.map(({ type }) => type), ['framework', 'framework']);
+    assert.equal(recorded.stats.warnings, 2);
+
+    const failed = await run({ throwOnWarning: true });
+    assert.match(failed.error.message, /Each child in a list/);
+});
+
+test('compares only checked attempts when looking for flaky errors', async (t) => {
+    const runtime = createFakeCypress({ config: { commandLog: false, logToFile: false } });
+    t.after(runtime.cleanup);
+
+    describe('form', () => {
+        // The first attempt fails on an assertion before the console check runs
+        it('saves', () => {
+            cy.window().then((win) => {
+                if (runtime.Cypress.currentRetry === 0) throw new Error('expected #save to exist');
+                win.console.error('Failed to save');
+            });
+        });
+        // The first attempt is checked and clean, the second has the error
+        it('loads', () => {
+            cy.window().then((win) => {
+                if (runtime.Cypress.currentRetry === 1) win.console.error('Failed to load');
+            });
+        });
+    });
+
+    for (const attempt of [0, 1]) {
+        runtime.Cypress.currentRetry = attempt;
+        await runtime.runTest('saves');
+        await runtime.runTest('loads');
+    }
+    const flaky = runtime.tasks.getErrorStats().flaky;
+    assert.deepEqual(
+        flaky.map(({ test, attempts, checkedAttempts }) => ({ test, attempts, checkedAttempts })),
+        [{ test: 'form > loads', attempts: [1], checkedAttempts: [0, 1] }]
+    );
+});
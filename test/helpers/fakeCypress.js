@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Minimal stand-in for the Cypress runner: a command queue with nested commands and `command:end`
+ * events, mocha globals, window events and the real server tasks. Enough to run src/client.js in Node.
+ * @param {Object} [options] - { config: client consoleDaemon config, daemon: server consoleDaemon config,
+ *     testingType: 'e2e' or 'component' }
+ * @returns {Object} - { Cypress, cy, server, emit, tasks, createWindow, setWindow, runTest, tests, logDir, cleanup }
+ */
+const createFakeCypress = ({ config = {}, daemon = {}, testingType = 'e2e' } = {}) => {
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'console-spy-test-'));
+    const tasks = {};
+    const server = require('../../src/server')(
+        (event, handlers) => {
+            if (event === 'task') Object.assign(tasks, handlers);
+        },
+        { env: { consoleDaemon: { logDir, reports: [], history: false, ...daemon } } },
+        { reporters: [], registerEvents: false }
+    );
+
+    const listeners = {};
+    const emit = (event, ...args) => (listeners[event] || []).forEach((listener) => listener(...args));
+
+    // Commands enqueued while a command runs are nested in it, like in Cypress
+    let queue = null;
+    const isChainable = (value) => Boolean(value && value.__chainable);
+    const enqueue = (name, args, run, chained = false) => {
+        const command = { name, args, run, chained };
+        queue.push(command);
+        return {
+            __chainable: true,
+            then: (fn) => enqueue('then', [fn], fn, true),
+        };
+    };
+    const runQueue = async (commands) => {
+        let subject;
+        for (const command of commands) {
+            subject = await runCommand(command, command.chained ? subject : undefined);
+            // Like Cypress, move on asynchronously, so timers started by the command can fire first
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        return subject;
+    };
+    const runCommand = async (command, subject) => {
+        const nested = [];
+        const parent = queue;
+        queue = nested;
+        let result;
+        try {
+            result = command.run(subject);
+        } finally {
+            queue = parent;
+        }
+        const nestedResult = nested.length > 0 ? await runQueue(nested) : undefined;
+        result = isChainable(result) || result === undefined ? nestedResult : await result;
+        emit('command:end', { get: (key) => ({ name: command.name, args: command.args })[key] });
+        return result === undefined ? subject : result;
+    };
+
+    const createWindow = () => {
+        const events = {};
+        return {
+            console: { error() {}, warn() {}, log() {}, info() {}, debug() {}, assert() {}, trace() {} },
+            addEventListener: (event, listener) => (events[event] = events[event] || []).push(listener),
+            dispatchEvent: (event, payload) => (events[event] || []).forEach((listener) => listener(payload)),
+            URL,
+            location: { href: 'http://localhost/' },
+            document: {},
+        };
+    };
+    let win = createWindow();
+
+    const logEntry = { set: () => logEntry, snapshot: () => logEntry, end: () => logEntry };
+    const cy = {
+        wrap: (value) => enqueue('wrap', [value], () => value),
+        window: () => enqueue('window', [], () => win),
+        task: (name, arg) => enqueue('task', [name, arg], () => tasks[name](arg)),
+        spy: (object, method) => {
+            const original = object[method];
+            let calls = [];
+            const spy = function (...args) {
+                // Call-site stack without the spy's own frame, like sinon's
+                const call = { args };
+                Error.captureStackTrace(call, spy);
+                calls.push(call);
+                return original.apply(this, args);
+            };
+            spy.getCalls = () => calls;
+            spy.resetHistory = () => {
+                calls = [];
+            };
+            spy.restore = () => {
+                object[method] = original;
+            };
+            object[method] = spy;
+            return spy;
+        },
+    };
+    const Cypress = {
+        testingType,
+        spec: { relative: 'cypress/e2e/app.cy.js' },
+        currentTest: { title: '', titlePath: [] },
+        currentRetry: 0,
+        env: () => config,
+        log: () => logEntry,
+        on: (event, listener) => (listeners[event] = listeners[event] || []).push(listener),
+        Commands: {
+            add: (name, fn) => {
+                cy[name] = (...args) => enqueue(name, args, () => fn(...args));
+            },
+            overwrite: () => {
+                throw new Error('not supported');
+            },
+        },
+    };
+
+    const tests = [];
+    const afterEachHooks = [];
+    const suitePath = [];
+    global.cy = cy;
+    global.Cypress = Cypress;
+    global.describe = (title, fn) => {
+        suitePath.push(title);
+        fn.call({});
+        suitePath.pop();
+    };
+    global.describe.only = global.describe;
+    global.describe.skip = () => {};
+    global.it = (title, configOrFn, fn) =>
+        tests.push({ titlePath: [...suitePath, title], fn: typeof configOrFn === 'function' ? configOrFn : fn });
+    global.it.only = global.it;
+    global.it.skip = () => {};
+    global.before = () => {};
+    global.beforeEach = () => {};
+    global.afterEach = (fn) => afterEachHooks.push(fn);
+    global.after = () => {};
+
+    delete require.cache[require.resolve('../../src/client')];
+    require('../../src/client')(Cypress, config);
+
+    // Runs a registered test and the afterEach hooks; resolves with the test error, or null
+    const runTest = async (title) => {
+        const test = tests.find(({ titlePath }) => titlePath[titlePath.length - 1] === title);
+        Cypress.currentTest = { title, titlePath: test.titlePath };
+        const run = async (fn) => {
+            queue = [];
+            fn.call({});
+            const commands = queue;
+            return runQueue(commands);
+        };
+        let error = null;
+        try {
+            await run(test.fn);
+        } catch (e) {
+            error = e;
+        }
+        for (const hook of afterEachHooks) {
+            await run(hook);
+        }
+        return error;
+    };
+
+    return {
+        Cypress,
+        cy,
+        server,
+        emit,
+        tasks,
+        createWindow,
+        setWindow: (next) => {
+            win = next;
+        },
+        runTest,
+        tests,
+        logDir,
+        cleanup: () => fs.rmSync(logDir, { recursive: true, force: true }),
+    };
+};
+
+module.exports = { createFakeCypress };
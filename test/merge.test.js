@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { buildReport, JSON_REPORT_NAME } = require('../src/report');
+const { createStats } = require('../src/stats');
+
+const CLI = path.join(__dirname, '..', 'bin', 'console-spy-merge.js');
+
+// Report of one CI machine with one error per spec
+const writeMachineReport = (dir, spec) => {
+    const stats = createStats();
+    stats.errors = 1;
+    stats.details.push({ type: 'error', message: `Boom in ${spec}`, spec, test: 'loads', fingerprint: spec });
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, JSON_REPORT_NAME), JSON.stringify(buildReport(stats)));
+};
+
+const merge = (cwd, ...args) => execFileSync(process.execPath, [CLI, '-r', 'json', ...args], { cwd, encoding: 'utf8' });
+const readMerged = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('does not merge its own output again when run twice with the default --out', (t) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'console-spy-merge-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    const logs = path.join(cwd, 'cypress', 'logs');
+    writeMachineReport(path.join(logs, 'machine-1'), 'a.cy.js');
+    writeMachineReport(path.join(logs, 'machine-2'), 'b.cy.js');
+    const mergedFile = path.join(logs, 'merged', JSON_REPORT_NAME);
+
+    merge(cwd, 'cypress/logs');
+    assert.equal(readMerged(mergedFile).totals.errors, 2);
+    merge(cwd, 'cypress/logs');
+    const merged = readMerged(mergedFile);
+    assert.equal(merged.totals.errors, 2);
+    assert.equal(merged.mergedReports, 2);
+});
+
+test('skips merged reports found in a directory but merges merged reports given as files', (t) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'console-spy-merge-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    writeMachineReport(path.join(cwd, 'artifacts', 'machine-1'), 'a.cy.js');
+    writeMachineReport(path.join(cwd, 'artifacts', 'machine-2'), 'b.cy.js');
+    writeMachineReport(path.join(cwd, 'other'), 'c.cy.js');
+
+    // An earlier merge written into the scanned tree with another --out
+    merge(cwd, '--out', 'artifacts/combined', 'artifacts');
+    const output = merge(cwd, '--out', 'out', 'artifacts');
+    assert.match(output, /Skipped earlier merged report: artifacts[\\/]combined/);
+    assert.equal(readMerged(path.join(cwd, 'out', JSON_REPORT_NAME)).totals.errors, 2);
+
+    merge(cwd, '--out', 'all', 'artifacts/combined/console-spy-report.json', 'other');
+    assert.equal(readMerged(path.join(cwd, 'all', JSON_REPORT_NAME)).totals.errors, 3);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { trackNetworkRequests } = require('../src/network');
+
+// Stub API answering /status/<code> with that status
+let stub;
+let baseUrl;
+
+before(async () => {
+    stub = http.createServer((req, res) => {
+        const status = Number(req.url.split('/status/')[1]) || 200;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end('{}');
+    });
+    await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${stub.address().port}`;
+});
+
+after(() => new Promise((resolve) => stub.close(resolve)));
+
+// Application window on the stub, tracked like the client tracks the real one.
+// Its fetch resolves relative URLs against the page like a browser does.
+const createTrackedWindow = (statusRanges) => {
+    const issues = [];
+    const win = { URL, location: { href: `${baseUrl}/app/` } };
+    win.fetch = (input, init) => fetch(new URL(input, win.location.href), init);
+    trackNetworkRequests(win, { statusRanges, onIssue: (issue) => issues.push(issue) });
+    return { win, issues };
+};
+
+test('records responses in the default 5xx range with method, URL and status', async () => {
+    const { win, issues } = createTrackedWindow();
+    await win.fetch(`${baseUrl}/status/503`, { method: 'post' });
+    await win.fetch(`${baseUrl}/status/200`);
+    await win.fetch(`${baseUrl}/status/404`);
+    assert.deepEqual(issues, [
+        { method: 'POST', url: `${baseUrl}/status/503`, status: 503, statusText: 'Service Unavailable' },
+    ]);
+});
+
+test('resolves relative URLs against the application page', async () => {
+    const { win, issues } = createTrackedWindow(['500-599']);
+    await win.fetch('/status/500');
+    assert.equal(issues[0].url, `${baseUrl}/status/500`);
+});
+
+test('records single codes and ranges from networkStatusRanges', async () => {
+    const { win, issues } = createTrackedWindow([404, '500-502']);
+    for (const status of [404, 410, 502, 503]) {
+        await win.fetch(`${baseUrl}/status/${status}`);
+    }
+    assert.deepEqual(issues.map((issue) => issue.status), [404, 502]);
+});
+
+test('records requests failing at the network level and rethrows the error', async () => {
+    const { win, issues } = createTrackedWindow();
+    // Nothing listens on the port of a closed server
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/api`;
+    await new Promise((resolve) => closed.close(resolve));
+
+    await assert.rejects(win.fetch(url));
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].url, url);
+    assert.equal(issues[0].status, 0);
+});
+
+test('ignores aborted requests', async () => {
+    const { win, issues } = createTrackedWindow();
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(win.fetch(`${baseUrl}/status/500`, { signal: controller.signal }), { name: 'AbortError' });
+    assert.deepEqual(issues, []);
+});
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { webhookReporter } = require('../src/reporters');
+
+// Webhook stand-in recording the requests; `statuses` are answered in order, then 200
+let stub;
+let url;
+let requests;
+let statuses;
+
+before(async () => {
+    stub = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${stub.address().port}/alerts`;
+});
+
+after(() => new Promise((resolve) => stub.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+    statuses = [];
+});
+
+const issue = (message, type = 'error') => ({ type, message, spec: 'cypress/e2e/app.cy.js', test: 'loads' });
+
+test('posts error issues in batches of batchSize when the spec ends', async () => {
+    const reporter = webhookReporter({ url, headers: { Authorization: 'Bearer token' }, batchSize: 2 });
+    ['one', 'two', 'three'].forEach((message) => reporter.onIssue(issue(message)));
+    reporter.onIssue(issue('only a warning', 'warn'));
+    await reporter.onSpecEnd();
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].method, 'POST');
+    assert.equal(requests[0].url, '/alerts');
+    assert.equal(requests[0].headers.authorization, 'Bearer token');
+    assert.equal(requests[0].headers['content-type'], 'application/json');
+    assert.deepEqual(requests[0].body, { source: 'cypress-console-spy', issues: [issue('one'), issue('two')] });
+    assert.deepEqual(requests[1].body, { source: 'cypress-console-spy', issues: [issue('three')] });
+});
+
+test('retries 5xx responses and delivers the batch once the webhook recovers', async () => {
+    statuses = [503, 500];
+    const reporter = webhookReporter({ url, retries: 2, retryDelay: 1 });
+    reporter.onIssue(issue('Boom'));
+    await reporter.onRunEnd();
+
+    assert.equal(requests.length, 3);
+    requests.forEach((request) => assert.deepEqual(request.body.issues, [issue('Boom')]));
+});
+
+test('reports a batch as undelivered when the retries are used up', async (t) => {
+    statuses = [500, 500];
+    const errors = [];
+    t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+    const reporter = webhookReporter({ url, retries: 1, retryDelay: 1 });
+    reporter.onIssue(issue('Boom'));
+    await reporter.onRunEnd();
+
+    assert.equal(requests.length, 2);
+    assert.match(errors[0], /Webhook http:\/\/127\.0\.0\.1:\d+ failed, 1 issue\(s\) not delivered: HTTP 500/);
+});
+
+test('does not retry other client errors', async (t) => {
+    statuses = [400];
+    t.mock.method(console, 'error', () => {});
+    const reporter = webhookReporter({ url, retryDelay: 1 });
+    reporter.onIssue(issue('Boom'));
+    await reporter.onRunEnd();
+
+    assert.equal(requests.length, 1);
+});
+
+test('rejects invalid options when the reporter is created', () => {
+    assert.throws(() => webhookReporter({ url: 'ftp://example.com' }), TypeError);
+    for (const options of [
+        { batchSize: 0 },
+        { batchSize: -1 },
+        { batchSize: 1.5 },
+        { retries: -1 },
+        { retryDelay: -1 },
+        { timeout: 0 },
+        { flushInterval: -1 },
+        { flushInterval: '5000' },
+    ]) {
+        assert.throws(() => webhookReporter({ url, ...options }), TypeError, JSON.stringify(options));
+    }
+});
@@ -0,0 +1,11 @@
+// Compiled with tsc --noEmit (npm run test:types): a consumer config using the server part
+import { server, webhookReporter } from '@mknrt/cypress-console-spy';
+
+export const setupNodeEvents = (on: Cypress.PluginEvents, config: Cypress.PluginConfigOptions) => {
+    const handlers = server(on, config, {
+        registerEvents: false,
+        reporters: [webhookReporter({ url: 'https://alerts.example.com/cypress', batchSize: 10 })],
+    });
+    on('after:spec', (spec, results) => handlers.afterSpec(spec, results));
+    return config;
+};
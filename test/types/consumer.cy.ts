@@ -0,0 +1,14 @@
+// Compiled with tsc --noEmit (npm run test:types): a consumer spec using the commands and config types
+describe('checkout', { consoleDaemon: { maxWarnings: 2 } }, () => {
+    it('saves', { consoleDaemon: { whitelist: [/ResizeObserver/] } }, () => {
+        cy.expectConsoleError('Validation failed', { times: 1 });
+        cy.getConsoleIssues().then((issues) => issues.map((issue) => issue.message));
+        cy.clearConsoleIssues();
+        cy.consoleSpy.allow(/ResizeObserver/, () => cy.get('.panel').click());
+        cy.consoleSpy.pause();
+        cy.consoleSpy.resume();
+        Cypress.consoleSpy.configure({ failOnSpy: false });
+        Cypress.consoleSpy.getConfig().whitelist;
+        Cypress.consoleSpy.reset();
+    });
+});